@@ -0,0 +1,709 @@
+#!/usr/bin/env node
+/**
+ * Auto-FreshCheck 가상 장치 (Mock Device)
+ * 하드웨어 없이 웹 앱 개발 / 데모용 - Node 내장 모듈만 사용
+ *
+ * 실행:
+ *   node tools/mock-device.js [--port 8080] [--fast] [--features no3,status-sse]
+ *                             [--no-serve] [--fault empty_bottle:3]
+ *
+ * - REST API: AutoFreshCheck가 사용하는 /api/* 전체
+ * - 상태 머신: PRIMING → DISPENSING → MIXING (카운트다운) → READY
+ * - /api/capture: 설정 색상의 합성 시험관 이미지 (BMP)
+ * - 장애 주입: /mock/fault (empty_bottle, timeout, error, http500)
+ * - 기본으로 web/ 폴더를 같이 제공 → http://localhost:8080 에서 바로 앱 실행
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// =========================================================================
+// ⚙️ 설정
+// =========================================================================
+
+function parseArgs(argv) {
+  const args = { port: 8080, fast: false, serve: true, features: ['no3', 'status-sse'], faults: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === '--port') args.port = parseInt(next(), 10);
+    else if (arg === '--fast') args.fast = true;
+    else if (arg === '--no-serve') args.serve = false;
+    else if (arg === '--features') args.features = next().split(',').filter(Boolean);
+    else if (arg === '--fault') args.faults.push(next());
+    else if (arg === '--help' || arg === '-h') args.help = true;
+  }
+  return args;
+}
+
+const ARGS = parseArgs(process.argv.slice(2));
+
+// 단계별 소요 시간 (ms) - --fast 이면 1/10
+const TIME_SCALE = ARGS.fast ? 0.1 : 1;
+const PHASE_TIME = {
+  priming: 3000,
+  dispensing: 4000,   // 채널당
+  primePump: 4000,    // 프라이밍 시 튜브가 차는 시간
+  timeoutHang: 30000  // timeout 장애 시 응답 지연
+};
+
+// 채널 → 테스트 / 자동 연계 채널 (NH3 #1 → #2, NO3 #1 → #2)
+const CHANNEL_TEST = { 1: 'ph', 2: 'nh3', 3: 'nh3', 4: 'no2', 5: 'no3', 6: 'no3', 7: 'phhr' };
+const CHAINED_CHANNEL = { 2: 3, 5: 6 };
+const CHANNEL_FEATURE = { 5: 'no3', 6: 'no3', 7: 'phhr' };
+
+// 광센서 원시값 (공기 / 액체)
+const OPTICAL = { air: 3000, liquid: 1500, noise: 60 };
+
+// 시험관 이미지 기본 색상 (테스트별, 기본 수질 값 근처)
+const DEFAULT_COLORS = {
+  ph:   '#3a9f7a',  // pH 7.2 부근 청록
+  phhr: '#f07a2a',  // pH HR 7.8 부근 주황
+  nh3:  '#c9d24a',  // NH3 0.25 부근 황록
+  no2:  '#5e8fd6',  // NO2 0 부근 하늘
+  no3:  '#f0b43c',  // NO3 10 부근 주황노랑
+  none: '#d8d8d8'   // 빈 시험관
+};
+
+// =========================================================================
+// 🐟 장치 상태
+// =========================================================================
+
+const device = {
+  state: 'IDLE',
+  channel: 0,
+  remaining: 0,
+  error: null,
+  values: { ph: -1, nh3: -1, no2: -1, no3: -1 },
+  water: { ph: 7.2, nh3: 0.25, no2: 0, no3: 10 },  // 측정 결과로 나올 수질 (± 노이즈)
+  colors: { ...DEFAULT_COLORS },
+  lastTest: 'none',                                // 촬영 이미지에 쓸 시험관
+  stats: { totalDispenses: 0, successfulMeasures: 0 },
+  history: [],
+  config: {
+    mixingTime: 180000,
+    samplePumpTime: 5000,
+    autoPrimeOnStart: false,
+    reagentSteps: [4500, 4500, 4500, 4500, 4500, 4500, 4500]
+  },
+  optical: [0, 0, 0, 0, 0, 0, 0].map(() => OPTICAL.air),
+  faults: [],      // { type, pump?, endpoint?, count }
+  timers: [],
+  pendingPrime: null,  // 응답 대기 중인 스마트 프라이밍 { pump, start, resolve }
+  sseClients: new Set()
+};
+
+const SYSTEM = {
+  version: '6.0.0-mock',
+  chipId: 'MOCK0001',
+  mac: '02:00:00:00:00:01',
+  features: ARGS.features,
+  // 고범위 pH(phhr)는 펌웨어 미확정 - 켜면 채널 번호도 같이 알림
+  channels: ARGS.features.includes('phhr') ? { phhr: 7 } : {}
+};
+
+function setState(state, channel = device.channel, remaining = 0) {
+  device.state = state;
+  device.channel = channel;
+  device.remaining = remaining;
+  broadcastStatus();
+}
+
+function statusPayload() {
+  return {
+    state: device.state,
+    channel: device.channel,
+    remaining: device.remaining,
+    error: device.error,
+    ph: device.values.ph,
+    nh3: device.values.nh3,
+    no2: device.values.no2,
+    no3: device.values.no3,
+    ...(SYSTEM.features.includes('phhr') && { phhr: device.values.phhr ?? -1 })
+  };
+}
+
+function isBusy() {
+  return !['IDLE', 'READY', 'ERROR'].includes(device.state);
+}
+
+function later(ms, fn) {
+  const timer = setTimeout(() => {
+    device.timers = device.timers.filter(t => t !== timer);
+    fn();
+  }, ms * TIME_SCALE);
+  device.timers.push(timer);
+  return timer;
+}
+
+function cancelTimers(reason = 'stopped') {
+  device.timers.forEach(clearTimeout);
+  device.timers = [];
+  // 타이머로 끝나던 스마트 프라이밍 응답도 같이 종료 (요청이 열린 채 남지 않도록)
+  settlePrime({ error: reason });
+}
+
+function noise(amount) {
+  return (Math.random() - 0.5) * 2 * amount;
+}
+
+// =========================================================================
+// ⚠️ 장애 주입
+// =========================================================================
+
+/**
+ * 장애 문자열 → 객체 ('empty_bottle:3', 'timeout:/status', 'error', 'http500:/measure')
+ */
+function parseFault(spec) {
+  const [type, target] = spec.split(':');
+  const fault = { type, count: Infinity };
+
+  if (type === 'empty_bottle') fault.pump = target ? parseInt(target, 10) : null;
+  else if (target) fault.endpoint = target.startsWith('/') ? target : `/${target}`;
+  return fault;
+}
+
+function addFault(fault) {
+  const known = ['empty_bottle', 'timeout', 'error', 'http500', 'uncalibrated'];
+  if (!known.includes(fault.type)) throw new Error(`unknown fault: ${fault.type}`);
+
+  // 즉시 ERROR 상태로 (다음 측정 / 정지 명령으로 해제)
+  if (fault.type === 'error') {
+    failDevice('injected_error');
+    return;
+  }
+  device.faults.push({ count: Infinity, ...fault });
+}
+
+/**
+ * 요청에 해당하는 장애 찾기 (count 소진 시 제거)
+ */
+function takeFault(type, match = () => true) {
+  const fault = device.faults.find(f => f.type === type && match(f));
+  if (!fault) return null;
+
+  fault.count--;
+  if (fault.count <= 0) device.faults = device.faults.filter(f => f !== fault);
+  return fault;
+}
+
+function failDevice(reason) {
+  cancelTimers(reason);
+  device.error = reason;
+  setState('ERROR', device.channel);
+  console.log(`[mock] ERROR: ${reason}`);
+}
+
+// =========================================================================
+// 🧪 측정 시퀀스
+// =========================================================================
+
+function startMeasure(channel) {
+  const channels = [channel];
+  if (CHAINED_CHANNEL[channel]) channels.push(CHAINED_CHANNEL[channel]);
+
+  device.error = null;
+  device.lastTest = 'none';
+  setState('PRIMING', channel);
+
+  later(PHASE_TIME.priming, () => dispense(channels, 0));
+}
+
+function dispense(channels, index) {
+  const channel = channels[index];
+  if (takeFault('empty_bottle', f => !f.pump || f.pump === channel)) {
+    failDevice('empty_bottle');
+    return;
+  }
+
+  device.stats.totalDispenses++;
+  setState('DISPENSING', channel);
+
+  later(PHASE_TIME.dispensing, () => {
+    if (index + 1 < channels.length) {
+      dispense(channels, index + 1);
+    } else {
+      mix(channel);
+    }
+  });
+}
+
+function mix(channel) {
+  const total = Math.ceil((device.config.mixingTime * TIME_SCALE) / 1000);
+  let remaining = total;
+  setState('MIXING', channel, remaining);
+
+  const timer = setInterval(() => {
+    remaining--;
+    if (remaining > 0) {
+      device.remaining = remaining;
+      broadcastStatus();
+      return;
+    }
+    clearInterval(timer);
+    device.timers = device.timers.filter(t => t !== timer);
+    finishMeasure(channel);
+  }, 1000);
+  device.timers.push(timer);
+}
+
+function finishMeasure(channel) {
+  const test = CHANNEL_TEST[channel];
+  const param = test === 'phhr' ? 'ph' : test;  // 고범위 pH도 같은 수질 pH 사용
+  const base = device.water[param];
+  const digits = param === 'ph' ? 10 : 100;
+  const value = Math.max(0, Math.round((base + noise(param === 'ph' ? 0.05 : base * 0.05)) * digits) / digits);
+
+  device.values[test] = value;
+  device.lastTest = test;
+  device.stats.successfulMeasures++;
+  device.history.push({ timestamp: Date.now(), ...device.values });
+  if (device.history.length > 100) device.history.shift();
+
+  setState('READY', channel);
+  console.log(`[mock] channel ${channel} (${test}) READY: ${test}=${value}`);
+}
+
+// =========================================================================
+// 💧 프라이밍 / 광센서
+// =========================================================================
+
+/**
+ * 튜브가 차는 동안 광센서 값을 공기 → 액체로 변경
+ */
+function fillTube(pump, duration) {
+  const idx = pump - 1;
+  const steps = 10;
+
+  for (let i = 1; i <= steps; i++) {
+    later((duration * i) / steps, () => {
+      const t = i / steps;
+      // 마지막 20%에서 급격히 액체로 전환
+      const level = t < 0.8 ? 0 : (t - 0.8) / 0.2;
+      device.optical[idx] = Math.round(OPTICAL.air - (OPTICAL.air - OPTICAL.liquid) * level);
+    });
+  }
+}
+
+function emptyTubes() {
+  device.optical = device.optical.map(() => OPTICAL.air);
+}
+
+function primeBlind(pump) {
+  device.error = null;
+  setState('PRIMING', pump);
+  fillTube(pump, PHASE_TIME.primePump);
+  later(PHASE_TIME.primePump * 1.5, () => setState('IDLE', 0));
+  return { type: 'blind', pump };
+}
+
+/**
+ * 스마트 프라이밍: 액체 감지까지 기다린 뒤 응답
+ */
+function primeSmart(pump) {
+  // 광센서 미보정 → 블라인드로 대체
+  if (device.faults.some(f => f.type === 'uncalibrated')) {
+    primeBlind(pump);
+    return Promise.resolve({ type: 'fallback', pump });
+  }
+
+  device.error = null;
+  setState('PRIMING', pump);
+  const start = Date.now();
+
+  return new Promise(resolve => {
+    device.pendingPrime = { pump, start, resolve };
+
+    if (takeFault('empty_bottle', f => !f.pump || f.pump === pump)) {
+      // 최대 시간 동안 액체 감지 실패
+      later(PHASE_TIME.primePump * 2, () => {
+        setState('IDLE', 0);
+        settlePrime({ error: 'empty_bottle' });
+      });
+      return;
+    }
+
+    const duration = PHASE_TIME.primePump * (0.8 + Math.random() * 0.4);
+    fillTube(pump, duration);
+    later(duration, () => {
+      setState('IDLE', 0);
+      settlePrime();
+    });
+  });
+}
+
+/**
+ * 대기 중인 스마트 프라이밍 응답 (완료 / 빈 병 / 정지 / 오류)
+ */
+function settlePrime(result = {}) {
+  const pending = device.pendingPrime;
+  if (!pending) return;
+
+  device.pendingPrime = null;
+  pending.resolve({ type: 'smart', pump: pending.pump, duration: Date.now() - pending.start, ...result });
+}
+
+function readOptical() {
+  return device.optical.map(v => Math.round(v + noise(OPTICAL.noise)));
+}
+
+// =========================================================================
+// 📷 합성 시험관 이미지 (24-bit BMP)
+// =========================================================================
+
+function hexToRgb(hex) {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+/**
+ * 320×240: 회색 배경, 중앙 시험관 (벽 + 메니스커스 + 기포), 우측 하단 흰색 기준 스티커
+ */
+function renderVial(colorHex, width = 320, height = 240) {
+  const liquid = hexToRgb(colorHex);
+  const rowSize = Math.ceil((width * 3) / 4) * 4;
+  const pixelBytes = rowSize * height;
+  const buf = Buffer.alloc(54 + pixelBytes);
+
+  // BITMAPFILEHEADER + BITMAPINFOHEADER
+  buf.write('BM', 0);
+  buf.writeUInt32LE(54 + pixelBytes, 2);
+  buf.writeUInt32LE(54, 10);
+  buf.writeUInt32LE(40, 14);
+  buf.writeInt32LE(width, 18);
+  buf.writeInt32LE(height, 22);
+  buf.writeUInt16LE(1, 26);
+  buf.writeUInt16LE(24, 28);
+  buf.writeUInt32LE(pixelBytes, 34);
+
+  const tube = { x0: 140, x1: 180, top: 30, liquidTop: 60, bottom: 220, wall: 3 };
+  const ref = { x0: 290, y0: 210, size: 22 };
+  const bubble = { x: 165, y: 170, r: 3 };
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let rgb = [205, 205, 210];
+      const inTube = x >= tube.x0 && x < tube.x1 && y >= tube.top && y < tube.bottom;
+
+      if (inTube) {
+        const isWall = x < tube.x0 + tube.wall || x >= tube.x1 - tube.wall;
+        if (isWall) {
+          rgb = [150, 150, 155];
+        } else if (y < tube.liquidTop) {
+          rgb = [225, 225, 228];  // 빈 공간
+        } else if (y < tube.liquidTop + 4) {
+          rgb = liquid.map(c => Math.min(255, c + 60));  // 메니스커스
+        } else {
+          rgb = liquid;
+        }
+      }
+      if ((x - bubble.x) ** 2 + (y - bubble.y) ** 2 <= bubble.r ** 2) rgb = [250, 250, 250];
+      if (x >= ref.x0 && x < ref.x0 + ref.size && y >= ref.y0 && y < ref.y0 + ref.size) rgb = [245, 245, 245];
+
+      // 센서 노이즈
+      const n = noise(3);
+      const offset = 54 + (height - 1 - y) * rowSize + x * 3;
+      buf[offset] = Math.max(0, Math.min(255, Math.round(rgb[2] + n)));
+      buf[offset + 1] = Math.max(0, Math.min(255, Math.round(rgb[1] + n)));
+      buf[offset + 2] = Math.max(0, Math.min(255, Math.round(rgb[0] + n)));
+    }
+  }
+  return buf;
+}
+
+// =========================================================================
+// 🌐 HTTP 서버
+// =========================================================================
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise(resolve => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (e) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+function broadcastStatus() {
+  const line = `event: status\ndata: ${JSON.stringify(statusPayload())}\n\n`;
+  device.sseClients.forEach(res => res.write(line));
+}
+
+function openEventStream(req, res) {
+  res.writeHead(200, {
+    ...CORS_HEADERS,
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write(`event: status\ndata: ${JSON.stringify(statusPayload())}\n\n`);
+  device.sseClients.add(res);
+  req.on('close', () => device.sseClients.delete(res));
+}
+
+// 상태 스트림 하트비트 (클라이언트 무응답 판정 방지)
+setInterval(broadcastStatus, 5000).unref();
+
+// 오류 응답 (상태 코드 지정)
+class Reply {
+  constructor(status, body) {
+    this.status = status;
+    this.body = body;
+  }
+}
+
+const reply = (status, body) => new Reply(status, body);
+
+/**
+ * /api/* 라우트
+ */
+const routes = {
+  'GET /status': () => statusPayload(),
+
+  'GET /events': null,  // SSE (handleApi에서 처리)
+
+  'POST /measure': ({ channel }) => {
+    channel = parseInt(channel, 10);
+    if (!CHANNEL_TEST[channel]) return reply(400, { error: 'invalid_channel' });
+    if (CHANNEL_FEATURE[channel] && !SYSTEM.features.includes(CHANNEL_FEATURE[channel])) {
+      return reply(400, { error: 'unsupported_channel' });
+    }
+    if (isBusy()) return reply(409, { error: 'busy' });
+
+    startMeasure(channel);
+    return { ok: true, channel };
+  },
+
+  'POST /prime': ({ pump }) => {
+    if (isBusy()) return reply(409, { error: 'busy' });
+    return primeBlind(parseInt(pump, 10));
+  },
+
+  'POST /sprime': ({ pump }) => {
+    if (isBusy()) return reply(409, { error: 'busy' });
+    return primeSmart(parseInt(pump, 10));
+  },
+
+  'GET /optical': () => ({ sensors: readOptical() }),
+
+  'POST /pump': (body) => {
+    const known = ['sample', 'waste', 'reagent', 'mixer', 'led'];
+    if (!known.includes(body.type)) return reply(400, { error: 'invalid_type' });
+    if (body.type === 'waste') emptyTubes();
+    return { ok: true, ...body };
+  },
+
+  'POST /stop': () => {
+    cancelTimers();
+    device.error = null;
+    setState('IDLE', 0);
+    return { ok: true };
+  },
+
+  'GET /stats': () => device.stats,
+
+  'GET /history': () => device.history,
+
+  'GET /calibration': () => device.config,
+
+  'POST /calibration': (body) => {
+    if (Number.isFinite(body.mixingTime)) device.config.mixingTime = body.mixingTime;
+    if (Number.isFinite(body.sampleTime)) device.config.samplePumpTime = body.sampleTime;
+    if (typeof body.autoPrime === 'boolean') device.config.autoPrimeOnStart = body.autoPrime;
+
+    // 그 밖의 항목은 그대로 보관 (opticalThresholds, primeVolumes 등)
+    Object.entries(body).forEach(([key, value]) => {
+      if (!['mixingTime', 'sampleTime', 'autoPrime'].includes(key)) device.config[key] = value;
+    });
+    return { ok: true };
+  },
+
+  'GET /system': () => ({ ...SYSTEM, uptime: Math.round(process.uptime()) }),
+
+  'GET /wifi': () => ({ mode: 'STA', ssid: 'mock', ip: '127.0.0.1', ap_ip: '192.168.4.1', mac: SYSTEM.mac, rssi: -50 })
+};
+
+async function handleApi(req, res, endpoint) {
+  const key = `${req.method} ${endpoint}`;
+
+  // 장애: 응답 지연 / 서버 오류
+  if (takeFault('timeout', f => !f.endpoint || f.endpoint === endpoint)) {
+    console.log(`[mock] fault: hanging ${key}`);
+    await new Promise(resolve => setTimeout(resolve, PHASE_TIME.timeoutHang));
+  }
+  if (takeFault('http500', f => !f.endpoint || f.endpoint === endpoint)) {
+    sendJSON(res, 500, { error: 'injected_failure' });
+    return;
+  }
+
+  if (key === 'GET /capture') {
+    const image = renderVial(device.colors[device.lastTest] || device.colors.none);
+    res.writeHead(200, { ...CORS_HEADERS, 'Content-Type': 'image/bmp', 'Cache-Control': 'no-store' });
+    res.end(image);
+    return;
+  }
+
+  if (key === 'GET /events') {
+    if (!SYSTEM.features.includes('status-sse')) {
+      sendJSON(res, 404, { error: 'not_found' });
+      return;
+    }
+    openEventStream(req, res);
+    return;
+  }
+
+  const route = routes[key];
+  if (!route) {
+    sendJSON(res, 404, { error: 'not_found' });
+    return;
+  }
+
+  const body = req.method === 'POST' ? await readBody(req) : {};
+  if (body === null) {
+    sendJSON(res, 400, { error: 'invalid_json' });
+    return;
+  }
+
+  const result = await route(body);
+  if (result instanceof Reply) {
+    sendJSON(res, result.status, result.body);
+  } else {
+    sendJSON(res, 200, result);
+  }
+}
+
+/**
+ * /mock/* - 시뮬레이터 제어 (장애 주입, 색상 / 수질 변경)
+ */
+async function handleMock(req, res, endpoint) {
+  const body = req.method === 'POST' ? await readBody(req) : {};
+  if (body === null) {
+    sendJSON(res, 400, { error: 'invalid_json' });
+    return;
+  }
+
+  try {
+    if (req.method === 'GET' && endpoint === '') {
+      sendJSON(res, 200, {
+        status: statusPayload(),
+        water: device.water,
+        colors: device.colors,
+        faults: device.faults.map(f => ({ ...f, count: f.count === Infinity ? null : f.count })),
+        config: device.config
+      });
+    } else if (req.method === 'POST' && endpoint === '/fault') {
+      // { type, target? | pump? | endpoint?, count? } 또는 { clear: true }
+      // target은 --fault 인자와 같은 의미 (empty_bottle → 펌프, 그 외 → 엔드포인트)
+      if (body.clear) {
+        device.faults = [];
+      } else {
+        const { target, ...rest } = body;
+        const parsed = target !== undefined ? parseFault(`${body.type}:${target}`) : {};
+        addFault({ ...rest, ...parsed, count: body.count || Infinity });
+      }
+      sendJSON(res, 200, { faults: device.faults.length });
+    } else if (req.method === 'POST' && endpoint === '/colors') {
+      Object.entries(body).forEach(([test, hex]) => {
+        if (/^#[0-9a-f]{6}$/i.test(hex)) device.colors[test] = hex;
+      });
+      sendJSON(res, 200, device.colors);
+    } else if (req.method === 'POST' && endpoint === '/water') {
+      Object.entries(body).forEach(([param, value]) => {
+        if (param in device.water && Number.isFinite(value)) device.water[param] = value;
+      });
+      sendJSON(res, 200, device.water);
+    } else {
+      sendJSON(res, 404, { error: 'not_found' });
+    }
+  } catch (error) {
+    sendJSON(res, 400, { error: error.message });
+  }
+}
+
+// 정적 파일 (web/)
+const WEB_ROOT = path.resolve(__dirname, '..', 'web');
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon'
+};
+
+function serveStatic(res, pathname) {
+  const file = path.resolve(WEB_ROOT, '.' + (pathname === '/' ? '/index.html' : pathname));
+  if (!file.startsWith(WEB_ROOT)) {
+    sendJSON(res, 403, { error: 'forbidden' });
+    return;
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) {
+      sendJSON(res, 404, { error: 'not_found' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const handle = pathname.startsWith('/api/')
+    ? handleApi(req, res, pathname.slice(4))
+    : pathname === '/mock' || pathname.startsWith('/mock/')
+      ? handleMock(req, res, pathname.slice(5))
+      : null;
+
+  if (handle) {
+    handle.catch(error => {
+      console.error('[mock] handler error:', error);
+      if (!res.headersSent) sendJSON(res, 500, { error: 'internal' });
+    });
+  } else if (ARGS.serve && req.method === 'GET') {
+    serveStatic(res, pathname);
+  } else {
+    sendJSON(res, 404, { error: 'not_found' });
+  }
+});
+
+if (ARGS.help) {
+  console.log(fs.readFileSync(__filename, 'utf8').split('\n').slice(2, 15).map(l => l.replace(/^ \* ?/, '')).join('\n'));
+  process.exit(0);
+}
+
+ARGS.faults.forEach(spec => addFault(parseFault(spec)));
+
+server.listen(ARGS.port, () => {
+  console.log(`[mock] FreshCheck mock device on http://localhost:${ARGS.port}`);
+  console.log(`[mock] features: ${SYSTEM.features.join(', ') || '(none)'}${ARGS.fast ? ' | fast mode' : ''}`);
+  if (ARGS.serve) console.log(`[mock] serving ${WEB_ROOT}`);
+});
@@ -20,14 +20,83 @@
 // 🎨 색상 분석 모듈 - API Freshwater Kit 전용
 // =========================================================================
 
+// 기본 ROI (이미지 대비 정규화 좌표 0-1): 중앙 25% / 우측 하단 색종이
+const DEFAULT_ROIS = {
+  sample:    { x: 0.375, y: 0.375, w: 0.25,  h: 0.25 },
+  reference: { x: 0.9,   y: 0.87,  w: 0.075, h: 0.1 },
+};
+
+// 색상 보정 카드: 기준 ROI 안 2×4 격자, 패치별 기준 sRGB (ColorChecker 값)
+const COLOR_CHECKER = {
+  rows: 2,
+  cols: 4,
+  sampleRatio: 0.5,  // 칸 중앙 50%만 샘플링 (경계 번짐 제외)
+  patches: [
+    { name: 'white',   r: 243, g: 243, b: 242 },
+    { name: 'gray-8',  r: 200, g: 200, b: 200 },
+    { name: 'gray-6',  r: 160, g: 160, b: 160 },
+    { name: 'gray-5',  r: 122, g: 122, b: 121 },
+    { name: 'red',     r: 175, g: 54,  b: 60 },
+    { name: 'green',   r: 70,  g: 148, b: 73 },
+    { name: 'blue',    r: 56,  g: 61,  b: 150 },
+    { name: 'yellow',  r: 231, g: 199, b: 31 },
+  ],
+};
+
+// 색상 카드 보정 잔차 경고 기준 (RMS ΔE2000)
+const COLOR_CHECKER_RESIDUAL_WARN = 5;
+
+// 촬영 품질 기준 기본값 (설정에서 변경, localStorage 'qualityLimits')
+const DEFAULT_QUALITY_LIMITS = {
+  minSharpness: 20,   // 라플라시안 분산 (전체 화면 밝기) - 이보다 낮으면 초점 흐림
+  maxGlare: 0.02,     // ROI 중 반사광(포화 + 무채색) 픽셀 비율
+  maxSpread: 6,       // ROI 블록 평균색의 RMS ΔE76 - 기포 / 혼합 불균일
+};
+
+// ROI 색 균일도 / 불확도 계산용 블록 격자 (grid × grid)
+const QUALITY_BLOCK_GRID = 4;
+
+// 불확도 포함 계수 (k=2, 약 95%)
+const UNCERTAINTY_COVERAGE = 2;
+
+// 불확도 픽셀 표준편차 계산에 쓰는 최대 픽셀 수 (넘으면 균등 간격 추출)
+const UNCERTAINTY_MAX_PIXELS = 4096;
+
+// 연속 촬영 (burst) 기준
+const BURST = {
+  maxFrames: 10,
+  minOutlierDeltaE: 3,  // 프레임 제외 최소 ΔE (중앙값 대비)
+  outlierFactor: 3,     // 제외 기준 = 중앙 편차 × factor
+  unstableDeltaE: 2,    // 프레임 간 RMS ΔE 이상이면 불안정 표시
+};
+
+// 시험관 자동 감지 기준
+const VIAL_DETECTION = {
+  maxSamples: 160,      // 긴 변 기준 샘플링 격자 크기
+  minContrast: 20,      // 액체/배경 채도 차이 최소값 (0-255)
+  minWidth: 0.05,       // 액체 기둥 최소/최대 폭 (이미지 대비)
+  maxWidth: 0.8,
+  minHeight: 0.1,       // 액체 기둥 최소 높이
+  wallMargin: 0.15,     // 튜브 벽 / 굴절 제외 (폭 대비, 좌우 각각)
+  meniscusMargin: 0.12, // 메니스커스 제외 (높이 대비, 상단)
+  bottomMargin: 0.08,   // 튜브 바닥 곡면 제외 (높이 대비)
+};
+
 class ColorAnalyzer {
   constructor() {
-    // ROI 설정 (이미지 중앙 영역)
-    this.roiRatio = 0.25;  // 중앙 25%
-    
     // 기준점 색상 (색종이 스티커용)
     this.referenceColor = { r: 255, g: 255, b: 255 };  // 기본: 흰색
-    this.referenceCalibrated = false;
+    this.referenceCalibrated = false;  // 흰색 기준점 보정 여부 (색상 카드 보정과 별개)
+    
+    // 색상 카드 보정 행렬 (3×4 affine, 설정 시 흰색 스케일 대신 사용)
+    this.colorMatrix = null;
+    this.colorMatrixResidual = null;  // { rms, max } ΔE2000
+    
+    // 촬영 품질 한계
+    this.qualityLimits = { ...DEFAULT_QUALITY_LIMITS };
+    
+    // 활성 보정 테이블의 잔차 RMS (값 단위, 테스트별)
+    this.calibrationResiduals = {};
     
     // pH 색상 테이블 (6.0 - 7.6) - HSV 기준
     // API pH Test: 노란색(6.0) → 초록(7.0) → 파란색(7.6+)
@@ -42,6 +111,18 @@ class ColorAnalyzer {
       { value: 8.0, h: 230, s: 75, v: 60 },   // 진파랑
     ];
     
+    // High Range pH 색상 테이블 (7.4 - 8.8)
+    // API High Range pH Test: 노랑주황(7.4) → 주황(7.8) → 빨강(8.2) → 자홍(8.8)
+    this.phhrTable = [
+      { value: 7.4, h: 45,  s: 80, v: 95 },   // 노랑주황
+      { value: 7.6, h: 35,  s: 82, v: 93 },   // 주황
+      { value: 7.8, h: 25,  s: 85, v: 90 },   // 진주황
+      { value: 8.0, h: 15,  s: 85, v: 86 },   // 적주황
+      { value: 8.2, h: 5,   s: 82, v: 82 },   // 빨강
+      { value: 8.4, h: 350, s: 75, v: 78 },   // 분홍빛 빨강
+      { value: 8.8, h: 330, s: 70, v: 70 },   // 자홍
+    ];
+    
     // Ammonia 색상 테이블 (0 - 8 ppm)
     // API NH3 Test: 노랑(0) → 초록(0.5) → 청록(2) → 파랑(4+)
     this.nh3Table = [
@@ -65,6 +146,27 @@ class ColorAnalyzer {
       { value: 5.0,  h: 345, s: 75, v: 65 },   // 진분홍
     ];
     
+    // Nitrate 색상 테이블 (0 - 160 ppm)
+    // API NO3 Test: 노랑(0) → 주황(10) → 적주황(40) → 빨강(80) → 진빨강(160)
+    this.no3Table = [
+      { value: 0,   h: 55,  s: 70, v: 95 },   // 노랑
+      { value: 5,   h: 42,  s: 75, v: 95 },   // 연주황
+      { value: 10,  h: 32,  s: 80, v: 92 },   // 주황
+      { value: 20,  h: 20,  s: 85, v: 88 },   // 진주황
+      { value: 40,  h: 8,   s: 88, v: 80 },   // 적주황
+      { value: 80,  h: 355, s: 90, v: 70 },   // 빨강
+      { value: 160, h: 345, s: 92, v: 58 },   // 진빨강
+    ];
+    
+    // 사용자 프로필 테이블 (테스트별, 없으면 내장 테이블 사용)
+    this.customTables = {};
+    
+    // 색상 거리 방식: 'hsv' (가중 HSV) | 'de76' | 'de2000' (CIELAB)
+    this.distanceMetric = 'hsv';
+    
+    // 신뢰도 환산 기준 (ΔE2000): 2 이하 = 100%, 25 이상 = 0%
+    this.confidenceDeltaE = { full: 2, zero: 25 };
+    
     // 캔버스 (재사용)
     this.canvas = document.createElement('canvas');
     this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
@@ -72,20 +174,39 @@ class ColorAnalyzer {
   
   /**
    * 이미지에서 색상 분석
-   * @param {HTMLImageElement|string} imgOrUrl - 분석할 이미지 또는 URL
-   * @param {string} testType - 'ph', 'nh3', 'no2'
-   * @returns {Promise<Object>} { value, confidence, hsv, rgb, warnings }
+   * @param {HTMLImageElement|HTMLCanvasElement|ImageData|string} imgOrUrl - 분석할 이미지, 캔버스, 픽셀 데이터 또는 URL
+   * @param {string} testType - 'ph', 'phhr', 'nh3', 'no2', 'no3'
+   * @param {Object} [rois] - { sample, reference } 정규화 ROI (생략 시 DEFAULT_ROIS),
+   *   detect: true 이면 시험관 자동 감지 (실패 시 중앙 ROI)
+   * @returns {Promise<Object>} { value, uncertainty, confidence, hsv, rgb, roi, roiSource, quality, warnings }
    */
-  async analyze(imgOrUrl, testType) {
-    const img = await this.loadImage(imgOrUrl);
+  async analyze(imgOrUrl, testType, rois = {}) {
+    const img = this.drawSource(await this.loadImage(imgOrUrl));
+    
+    // 샘플 영역: 자동 감지 또는 지정 ROI
+    let roi = rois.sample || DEFAULT_ROIS.sample;
+    let roiSource = 'manual';
+    const detectWarnings = [];
+    
+    if (rois.detect) {
+      const detected = this.detectVial(img.width, img.height);
+      if (detected) {
+        roi = detected;
+        roiSource = 'detected';
+      } else {
+        roi = DEFAULT_ROIS.sample;
+        roiSource = 'fallback';
+        detectWarnings.push('시험관 자동 감지 실패 - 중앙 영역으로 분석');
+      }
+    }
     
-    // 캔버스 설정
-    this.canvas.width = img.width;
-    this.canvas.height = img.height;
-    this.ctx.drawImage(img, 0, 0);
+    // ROI 추출 + 품질 평가 (기포 제외 전 원본 기준)
+    const rawRoiData = this.extractROI(img.width, img.height, roi);
+    const quality = this.assessQuality(img.width, img.height, rawRoiData);
+    let roiData = rawRoiData;
     
-    // ROI 추출 (중앙 영역)
-    const roiData = this.extractROI(img.width, img.height);
+    // 감지 영역은 기포 픽셀 제외
+    if (roiSource === 'detected') roiData = this.excludeBubbles(roiData);
     
     // 평균 색상 계산
     const avgRGB = this.calculateAverageColor(roiData);
@@ -93,32 +214,426 @@ class ColorAnalyzer {
     // 기준점 보정 (색종이 스티커)
     const correctedRGB = this.applyReferenceCorrection(avgRGB);
     
-    // HSV 변환
+    // HSV / Lab 변환
     const avgHSV = this.rgbToHsv(correctedRGB.r, correctedRGB.g, correctedRGB.b);
+    const lab = this.rgbToLab(correctedRGB);
     
     // 테이블에서 값 보간
     const table = this.getTable(testType);
-    const result = this.interpolateValue(avgHSV, table);
+    const result = this.interpolateValue({ ...avgHSV, lab }, table);
+    
+    // 불확도 (ROI 값 분포 + 보정 잔차)
+    const uncertainty = this.estimateUncertainty(rawRoiData, table, testType, result.value);
     
     // 경고 체크
-    const warnings = this.checkWarnings(avgHSV, avgRGB, testType);
+    const warnings = [
+      ...detectWarnings,
+      ...this.checkWarnings(avgHSV, avgRGB, testType, result),
+      ...quality.warnings
+    ];
     
     return {
       value: result.value,
-      confidence: result.confidence,
+      uncertainty,
+      confidence: Math.round(result.confidence * quality.confidenceFactor),
+      deltaE: result.deltaE,
+      offCurve: result.offCurve,
+      atLimit: result.atLimit,
       hsv: avgHSV,
+      lab,
       rgb: correctedRGB,
       rawRgb: avgRGB,
+      roi,
+      roiSource,
+      quality: {
+        sharpness: quality.sharpness,
+        glare: quality.glare,
+        spread: quality.spread,
+        valid: quality.valid,
+        failures: quality.failures
+      },
+      correction: this.colorMatrix
+        ? { mode: 'card', residual: this.colorMatrixResidual.rms }
+        : { mode: this.referenceCalibrated ? 'white' : 'none', residual: null },
+      warnings
+    };
+  }
+  
+  /**
+   * 측정 불확도 추정 (근사치)
+   * - ROI 평균값의 표준오차: 픽셀별 투영값 표준편차 / √픽셀 수
+   * - 활성 보정 테이블의 잔차 RMS (있을 때, 피팅 자체의 잔차라 실제보다 작을 수 있음)
+   * 두 성분의 제곱합 제곱근 × 포함 계수, 구간은 테이블 범위로 제한
+   * @returns {Object} { value, low, high, roiSe, calibrationRms, coverage }
+   */
+  estimateUncertainty(imageData, table, testType, value) {
+    const { data } = imageData;
+    // Lab 거리 방식이면 테이블 변환은 호출당 한 번만
+    const curve = this.distanceMetric !== 'hsv' ? this.tableToLab(table) : table;
+    const count = data.length / 4;
+    const stride = Math.max(1, Math.ceil(count / UNCERTAINTY_MAX_PIXELS));
+    const cache = new Map();  // 같은 색은 한 번만 투영
+    const values = [];
+    
+    for (let p = 0; p < count; p += stride) {
+      const i = p * 4;
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      let v = cache.get(key);
+      if (v === undefined) {
+        const rgb = this.applyReferenceCorrection({ r: data[i], g: data[i + 1], b: data[i + 2] });
+        const hsv = this.rgbToHsv(rgb.r, rgb.g, rgb.b);
+        v = this.interpolateValue({ ...hsv, lab: this.rgbToLab(rgb) }, curve).value;
+        cache.set(key, v);
+      }
+      values.push(v);
+    }
+    
+    let roiSe = 0;
+    if (values.length > 1) {
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const sd = Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1));
+      roiSe = sd / Math.sqrt(values.length);
+    }
+    
+    const calibrationRms = this.calibrationResiduals[testType] || 0;
+    const expanded = UNCERTAINTY_COVERAGE * Math.sqrt(roiSe * roiSe + calibrationRms * calibrationRms);
+    const round = v => Math.round(v * 1000) / 1000;
+    
+    return {
+      value: round(expanded),
+      low: round(Math.max(table[0].value, value - expanded)),
+      high: round(Math.min(table[table.length - 1].value, value + expanded)),
+      roiSe: round(roiSe),
+      calibrationRms: calibrationRms ? round(calibrationRms) : null,
+      coverage: UNCERTAINTY_COVERAGE
+    };
+  }
+  
+  /**
+   * 보정 테이블 잔차 RMS 설정 (null: 없음)
+   */
+  setCalibrationResidual(type, rms) {
+    if (Number.isFinite(rms)) {
+      this.calibrationResiduals[type] = rms;
+    } else {
+      delete this.calibrationResiduals[type];
+    }
+  }
+  
+  /**
+   * 촬영 품질 평가
+   * - 선명도: 전체 화면 밝기의 라플라시안 분산
+   * - 반사광: ROI 중 포화된 무채색 픽셀 비율
+   * - 균일도: ROI 블록 평균색의 RMS ΔE76
+   * 한계의 절반(선명도는 2배)까지는 감점 없음, 한계에서 신뢰도 절반
+   * @returns {Object} { sharpness, glare, spread, valid, failures, confidenceFactor, warnings }
+   */
+  assessQuality(w, h, roiData) {
+    const limits = this.qualityLimits;
+    const sharpness = this.measureSharpness(w, h);
+    const glare = this.measureGlare(roiData);
+    const spread = this.measureColorSpread(roiData);
+    
+    const clamp01 = v => Math.max(0, Math.min(1, v));
+    const severities = {
+      blur: clamp01((2 * limits.minSharpness - sharpness) / limits.minSharpness),
+      glare: clamp01((glare - limits.maxGlare / 2) / (limits.maxGlare / 2)),
+      spread: clamp01((spread - limits.maxSpread / 2) / (limits.maxSpread / 2))
+    };
+    const confidenceFactor = Object.values(severities).reduce((f, s) => f * (1 - s / 2), 1);
+    
+    const failures = [];
+    const warnings = [];
+    if (sharpness < limits.minSharpness) {
+      failures.push('blur');
+      warnings.push(`초점 흐림 (선명도 ${sharpness.toFixed(1)}) - 카메라 초점 / 흔들림 확인`);
+    }
+    if (glare > limits.maxGlare) {
+      failures.push('glare');
+      warnings.push(`반사광 ${(glare * 100).toFixed(1)}% - LED 각도 / 튜브 외벽 확인`);
+    }
+    if (spread > limits.maxSpread) {
+      failures.push('spread');
+      warnings.push(`ROI 색 불균일 (ΔE ${spread.toFixed(1)}) - 기포 / 혼합 부족 확인`);
+    }
+    if (failures.length > 0) {
+      warnings.push('품질 기준 미달 - 유효 측정으로 저장되지 않음');
+    }
+    
+    return {
+      sharpness: Math.round(sharpness * 10) / 10,
+      glare: Math.round(glare * 1000) / 1000,
+      spread: Math.round(spread * 10) / 10,
+      valid: failures.length === 0,
+      failures,
+      confidenceFactor,
       warnings
     };
   }
   
   /**
-   * 이미지 로드 (URL 또는 Element)
+   * 라플라시안 분산 (캔버스 전체, 긴 변 ~320 격자로 샘플링)
+   */
+  measureSharpness(w, h) {
+    const data = this.ctx.getImageData(0, 0, w, h).data;
+    const step = Math.max(1, Math.floor(Math.max(w, h) / 320));
+    const luma = i => 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    
+    let sum = 0, sumSq = 0, n = 0;
+    for (let y = 1; y < h - 1; y += step) {
+      for (let x = 1; x < w - 1; x += step) {
+        const i = (y * w + x) * 4;
+        const lap = 4 * luma(i) - luma(i - 4) - luma(i + 4) - luma(i - w * 4) - luma(i + w * 4);
+        sum += lap;
+        sumSq += lap * lap;
+        n++;
+      }
+    }
+    if (n === 0) return 0;
+    
+    const mean = sum / n;
+    return sumSq / n - mean * mean;
+  }
+  
+  /**
+   * 반사광 픽셀 비율 (최대 채널 ≥ 250, 채도 < 40)
+   */
+  measureGlare(imageData) {
+    const data = imageData.data;
+    let glare = 0;
+    
+    for (let i = 0; i < data.length; i += 4) {
+      const max = Math.max(data[i], data[i + 1], data[i + 2]);
+      const min = Math.min(data[i], data[i + 1], data[i + 2]);
+      if (max >= 250 && max - min < 40) glare++;
+    }
+    return glare / (data.length / 4);
+  }
+  
+  /**
+   * ROI 블록별 평균 RGB (grid × grid)
+   */
+  blockColors(imageData, grid = QUALITY_BLOCK_GRID) {
+    const { data, width, height } = imageData;
+    const blocks = [];
+    
+    for (let by = 0; by < grid; by++) {
+      for (let bx = 0; bx < grid; bx++) {
+        const x0 = Math.floor((bx * width) / grid), x1 = Math.floor(((bx + 1) * width) / grid);
+        const y0 = Math.floor((by * height) / grid), y1 = Math.floor(((by + 1) * height) / grid);
+        let r = 0, g = 0, b = 0, n = 0;
+        
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            const i = (y * width + x) * 4;
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+            n++;
+          }
+        }
+        if (n > 0) blocks.push({ r: r / n, g: g / n, b: b / n });
+      }
+    }
+    return blocks;
+  }
+  
+  /**
+   * ROI 색 균일도: 블록 평균 Lab의 전체 평균 대비 RMS ΔE76
+   */
+  measureColorSpread(imageData) {
+    const labs = this.blockColors(imageData).map(c => this.rgbToLab(c));
+    if (labs.length < 2) return 0;
+    
+    const mean = { L: 0, a: 0, b: 0 };
+    labs.forEach(lab => {
+      mean.L += lab.L / labs.length;
+      mean.a += lab.a / labs.length;
+      mean.b += lab.b / labs.length;
+    });
+    
+    const sq = labs.reduce((sum, lab) => sum + this.deltaE76(lab, mean) ** 2, 0);
+    return Math.sqrt(sq / labs.length);
+  }
+  
+  /**
+   * 시험관 액체 기둥 자동 감지 (캔버스에 그려진 이미지 기준)
+   * - 열별 채도 프로파일로 착색된 액체 기둥 위치 탐색
+   * - 수평 에지 프로파일로 튜브 벽 경계 보정 후 벽 / 굴절 영역 제외
+   * - 행별 채도 프로파일로 액면 탐색, 메니스커스 / 바닥 곡면 제외
+   * @returns {Object|null} { x, y, w, h } 정규화 좌표, 실패 시 null
+   */
+  detectVial(w, h) {
+    const cfg = VIAL_DETECTION;
+    const data = this.ctx.getImageData(0, 0, w, h).data;
+    const step = Math.max(1, Math.floor(Math.max(w, h) / cfg.maxSamples));
+    const cols = Math.floor(w / step);
+    const rows = Math.floor(h / step);
+    if (cols < 8 || rows < 8) return null;
+    
+    // 샘플 격자: 채도(max - min) / 밝기
+    const chroma = new Float32Array(cols * rows);
+    const luma = new Float32Array(cols * rows);
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < cols; c++) {
+        const i = ((r * step) * w + c * step) * 4;
+        const R = data[i], G = data[i + 1], B = data[i + 2];
+        chroma[r * cols + c] = Math.max(R, G, B) - Math.min(R, G, B);
+        luma[r * cols + c] = 0.299 * R + 0.587 * G + 0.114 * B;
+      }
+    }
+    
+    // 열 프로파일
+    const colChroma = new Float32Array(cols);
+    const colEdge = new Float32Array(cols);
+    for (let c = 0; c < cols; c++) {
+      let sum = 0, edge = 0;
+      for (let r = 0; r < rows; r++) {
+        sum += chroma[r * cols + c];
+        if (c < cols - 1) edge += Math.abs(luma[r * cols + c + 1] - luma[r * cols + c]);
+      }
+      colChroma[c] = sum / rows;
+      colEdge[c] = edge / rows;
+    }
+    const colProfile = this.smoothProfile(colChroma, 1);
+    
+    // 배경(중앙값) 대비 채도가 높은 연속 구간 = 액체 기둥
+    const background = this.profileMedian(colProfile);
+    const peakCol = this.profileArgMax(colProfile);
+    const peak = colProfile[peakCol];
+    if (peak - background < cfg.minContrast) return null;
+    
+    const colThreshold = background + (peak - background) / 2;
+    let left = peakCol, right = peakCol;
+    while (left > 0 && colProfile[left - 1] > colThreshold) left--;
+    while (right < cols - 1 && colProfile[right + 1] > colThreshold) right++;
+    
+    // 튜브 벽: 경계 근처의 가장 강한 에지로 보정
+    left = this.strongestEdge(colEdge, left - 2, left + 2, left);
+    right = this.strongestEdge(colEdge, right - 2, right + 2, right);
+    
+    const width = right - left + 1;
+    if (width < cols * cfg.minWidth || width > cols * cfg.maxWidth) return null;
+    
+    const wall = Math.ceil(width * cfg.wallMargin);
+    const x0 = left + wall;
+    const x1 = right - wall;
+    if (x1 <= x0) return null;
+    
+    // 행 프로파일 (기둥 안쪽 열만)
+    const rowChroma = new Float32Array(rows);
+    for (let r = 0; r < rows; r++) {
+      let sum = 0;
+      for (let c = x0; c <= x1; c++) sum += chroma[r * cols + c];
+      rowChroma[r] = sum / (x1 - x0 + 1);
+    }
+    const rowProfile = this.smoothProfile(rowChroma, 1);
+    
+    // 가장 긴 착색 행 구간 = 액체 높이
+    let top = -1, bottom = -1, runStart = -1;
+    for (let r = 0; r <= rows; r++) {
+      const inside = r < rows && rowProfile[r] > colThreshold;
+      if (inside && runStart < 0) runStart = r;
+      if (!inside && runStart >= 0) {
+        if (r - runStart > bottom - top) {
+          top = runStart;
+          bottom = r - 1;
+        }
+        runStart = -1;
+      }
+    }
+    if (top < 0) return null;
+    
+    const height = bottom - top + 1;
+    if (height < rows * cfg.minHeight) return null;
+    
+    const y0 = top + Math.max(2, Math.ceil(height * cfg.meniscusMargin));
+    const y1 = bottom - Math.ceil(height * cfg.bottomMargin);
+    if (y1 <= y0) return null;
+    
+    return {
+      x: (x0 * step) / w,
+      y: (y0 * step) / h,
+      w: ((x1 - x0 + 1) * step) / w,
+      h: ((y1 - y0 + 1) * step) / h
+    };
+  }
+  
+  /**
+   * 기포 / 반사 픽셀 제외 (중앙값 대비 채도가 절반 미만이면서 더 밝은 픽셀)
+   * @returns {Object} calculateAverageColor 입력용 { data }
+   */
+  excludeBubbles(imageData) {
+    const data = imageData.data;
+    const count = data.length / 4;
+    const chroma = new Float32Array(count);
+    const value = new Float32Array(count);
+    
+    for (let p = 0; p < count; p++) {
+      const i = p * 4;
+      const max = Math.max(data[i], data[i + 1], data[i + 2]);
+      chroma[p] = max - Math.min(data[i], data[i + 1], data[i + 2]);
+      value[p] = max;
+    }
+    
+    const medChroma = this.profileMedian(chroma);
+    const medValue = this.profileMedian(value);
+    const kept = [];
+    for (let p = 0; p < count; p++) {
+      if (chroma[p] < medChroma / 2 && value[p] > medValue) continue;
+      kept.push(data[p * 4], data[p * 4 + 1], data[p * 4 + 2], 255);
+    }
+    
+    // 대부분이 제외되면 원본 사용
+    if (kept.length < data.length / 4) return imageData;
+    return { data: Uint8ClampedArray.from(kept) };
+  }
+  
+  smoothProfile(profile, radius) {
+    const out = new Float32Array(profile.length);
+    for (let i = 0; i < profile.length; i++) {
+      let sum = 0, n = 0;
+      for (let j = Math.max(0, i - radius); j <= Math.min(profile.length - 1, i + radius); j++) {
+        sum += profile[j];
+        n++;
+      }
+      out[i] = sum / n;
+    }
+    return out;
+  }
+  
+  profileMedian(profile) {
+    const sorted = Array.from(profile).sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+  }
+  
+  profileArgMax(profile) {
+    let best = 0;
+    for (let i = 1; i < profile.length; i++) {
+      if (profile[i] > profile[best]) best = i;
+    }
+    return best;
+  }
+  
+  /**
+   * [from, to] 구간에서 에지가 가장 강한 위치 (없으면 fallback)
+   */
+  strongestEdge(edges, from, to, fallback) {
+    let best = fallback;
+    for (let i = Math.max(0, from); i <= Math.min(edges.length - 1, to); i++) {
+      if (edges[i] > edges[best]) best = i;
+    }
+    return best;
+  }
+  
+  /**
+   * 이미지 로드 (URL 또는 Element, 캔버스 / ImageData는 그대로)
    */
   loadImage(imgOrUrl) {
     return new Promise((resolve, reject) => {
-      if (imgOrUrl instanceof HTMLImageElement && imgOrUrl.complete) {
+      if ((imgOrUrl instanceof HTMLImageElement && imgOrUrl.complete)
+        || imgOrUrl instanceof HTMLCanvasElement
+        || imgOrUrl instanceof ImageData) {
         resolve(imgOrUrl);
         return;
       }
@@ -132,39 +647,168 @@ class ColorAnalyzer {
   }
   
   /**
-   * ROI 영역 픽셀 데이터 추출 (중앙)
+   * 분석용 캔버스에 원본 크기로 그리기
+   * @returns {Object} { width, height }
+   */
+  drawSource(source) {
+    const width = source.naturalWidth || source.width;
+    const height = source.naturalHeight || source.height;
+    
+    this.canvas.width = width;
+    this.canvas.height = height;
+    if (source instanceof ImageData) {
+      this.ctx.putImageData(source, 0, 0);
+    } else {
+      this.ctx.drawImage(source, 0, 0);
+    }
+    return { width, height };
+  }
+  
+  /**
+   * 이미지 한 장 → 픽셀 데이터
    */
-  extractROI(w, h) {
-    const roiW = Math.floor(w * this.roiRatio);
-    const roiH = Math.floor(h * this.roiRatio);
-    const x = Math.floor((w - roiW) / 2);
-    const y = Math.floor((h - roiH) / 2);
+  async grabFrame(imgOrUrl) {
+    const { width, height } = this.drawSource(await this.loadImage(imgOrUrl));
+    return this.ctx.getImageData(0, 0, width, height);
+  }
+  
+  /**
+   * 연속 촬영 프레임 합성
+   * - 프레임별 ROI 평균색(Lab)이 중앙값에서 크게 벗어난 프레임 제외
+   * - 남은 프레임의 픽셀별 중앙값 또는 절사평균 (최대 / 최소 제외)
+   * @param {ImageData[]} frames - 같은 크기의 프레임
+   * @param {Object} roi - 이상치 판정용 ROI (정규화 좌표)
+   * @param {string} method - 'median' | 'trimmed'
+   * @returns {Object} { imageData, used, rejected, spread }
+   */
+  combineFrames(frames, roi = DEFAULT_ROIS.sample, method = 'median') {
+    const { width, height } = frames[0];
+    if (frames.some(f => f.width !== width || f.height !== height)) {
+      throw new Error('프레임 크기가 다릅니다');
+    }
+    
+    // 프레임별 ROI 색 (Lab)
+    const rect = this.roiToPixels(roi, width, height);
+    const labs = frames.map(frame => {
+      let r = 0, g = 0, b = 0, n = 0;
+      for (let y = rect.y; y < rect.y + rect.h; y++) {
+        for (let x = rect.x; x < rect.x + rect.w; x++) {
+          const i = (y * width + x) * 4;
+          r += frame.data[i];
+          g += frame.data[i + 1];
+          b += frame.data[i + 2];
+          n++;
+        }
+      }
+      return this.rgbToLab({ r: r / n, g: g / n, b: b / n });
+    });
+    
+    // 중앙값 Lab 기준 이상치 제외
+    const median = arr => {
+      const sorted = arr.slice().sort((x, y) => x - y);
+      const mid = Math.floor(sorted.length / 2);
+      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+    const center = { L: median(labs.map(l => l.L)), a: median(labs.map(l => l.a)), b: median(labs.map(l => l.b)) };
+    const distances = labs.map(lab => this.deltaE76(lab, center));
+    const limit = Math.max(BURST.minOutlierDeltaE, median(distances) * BURST.outlierFactor);
+    
+    let kept = frames.map((frame, i) => i).filter(i => distances[i] <= limit);
+    if (kept.length < Math.ceil(frames.length / 2)) {
+      // 과반이 제외되면 중앙값에 가까운 절반 사용
+      kept = frames.map((frame, i) => i)
+        .sort((x, y) => distances[x] - distances[y])
+        .slice(0, Math.ceil(frames.length / 2));
+    }
+    
+    // 프레임 간 안정도: 사용 프레임 ROI 색의 평균 대비 RMS ΔE
+    const keptLabs = kept.map(i => labs[i]);
+    const mean = {
+      L: keptLabs.reduce((sum, l) => sum + l.L, 0) / keptLabs.length,
+      a: keptLabs.reduce((sum, l) => sum + l.a, 0) / keptLabs.length,
+      b: keptLabs.reduce((sum, l) => sum + l.b, 0) / keptLabs.length
+    };
+    const spread = Math.sqrt(keptLabs.reduce((sum, l) => sum + this.deltaE76(l, mean) ** 2, 0) / keptLabs.length);
+    
+    // 픽셀별 합성 - 프레임 수(최대 10)만큼의 고정 버퍼에 삽입 정렬 (픽셀마다 배열 정렬 시 UI 멈춤)
+    const sources = kept.map(i => frames[i].data);
+    const n = sources.length;
+    const out = new Uint8ClampedArray(width * height * 4);
+    const values = new Uint8Array(n);
+    const trim = method === 'trimmed' && n > 2 ? 1 : 0;
+    const mid = n >> 1;
+    
+    for (let i = 0; i < out.length; i++) {
+      if (i % 4 === 3) {
+        out[i] = 255;
+        continue;
+      }
+      for (let k = 0; k < n; k++) {
+        const v = sources[k][i];
+        let j = k;
+        while (j > 0 && values[j - 1] > v) {
+          values[j] = values[j - 1];
+          j--;
+        }
+        values[j] = v;
+      }
+      
+      if (method === 'trimmed') {
+        let sum = 0;
+        for (let k = trim; k < n - trim; k++) sum += values[k];
+        out[i] = Math.round(sum / (n - 2 * trim));
+      } else {
+        out[i] = n % 2 ? values[mid] : Math.round((values[mid - 1] + values[mid]) / 2);
+      }
+    }
     
-    return this.ctx.getImageData(x, y, roiW, roiH);
+    return {
+      imageData: new ImageData(out, width, height),
+      used: kept.length,
+      rejected: frames.length - kept.length,
+      spread: Math.round(spread * 10) / 10
+    };
   }
   
   /**
-   * 기준점(색종이) ROI 추출 (우측 하단)
+   * 정규화 ROI → 픽셀 사각형 (이미지 경계 안으로 제한, 최소 1px)
    */
-  extractReferenceROI(w, h) {
-    const refSize = Math.floor(Math.min(w, h) * 0.1);
-    const x = w - refSize - 10;
-    const y = h - refSize - 10;
+  roiToPixels(roi, w, h) {
+    const x = Math.min(w - 1, Math.max(0, Math.floor(roi.x * w)));
+    const y = Math.min(h - 1, Math.max(0, Math.floor(roi.y * h)));
     
-    return this.ctx.getImageData(x, y, refSize, refSize);
+    return {
+      x,
+      y,
+      w: Math.max(1, Math.min(w - x, Math.round(roi.w * w))),
+      h: Math.max(1, Math.min(h - y, Math.round(roi.h * h)))
+    };
+  }
+  
+  /**
+   * ROI 영역 픽셀 데이터 추출
+   * @param {Object} roi - { x, y, w, h } 정규화 좌표
+   */
+  extractROI(w, h, roi = DEFAULT_ROIS.sample) {
+    const rect = this.roiToPixels(roi, w, h);
+    return this.ctx.getImageData(rect.x, rect.y, rect.w, rect.h);
+  }
+  
+  /**
+   * 기준점(색종이) ROI 추출
+   */
+  extractReferenceROI(w, h, roi = DEFAULT_ROIS.reference) {
+    return this.extractROI(w, h, roi);
   }
   
   /**
    * 기준점 색상 캘리브레이션
+   * @param {Object} [roi] - 색종이 영역 (정규화 좌표)
    */
-  async calibrateReference(imgOrUrl) {
-    const img = await this.loadImage(imgOrUrl);
+  async calibrateReference(imgOrUrl, roi = DEFAULT_ROIS.reference) {
+    const img = this.drawSource(await this.loadImage(imgOrUrl));
     
-    this.canvas.width = img.width;
-    this.canvas.height = img.height;
-    this.ctx.drawImage(img, 0, 0);
-    
-    const refData = this.extractReferenceROI(img.width, img.height);
+    const refData = this.extractReferenceROI(img.width, img.height, roi);
     this.referenceColor = this.calculateAverageColor(refData);
     this.referenceCalibrated = true;
     
@@ -173,9 +817,140 @@ class ColorAnalyzer {
   }
   
   /**
-   * 기준점 보정 적용
+   * 색상 카드 보정: 패치 평균색 → 3×4 색 보정 행렬 (최소제곱)
+   * @param {Object} [roi] - 카드 영역 (정규화 좌표)
+   * @returns {Promise<Object>} { matrix, residual: { rms, max }, patches }
+   */
+  async calibrateColorChecker(imgOrUrl, roi = DEFAULT_ROIS.reference) {
+    const img = this.drawSource(await this.loadImage(imgOrUrl));
+    
+    const measured = this.sampleColorChecker(img.width, img.height, roi);
+    const matrix = this.fitColorMatrix(measured, COLOR_CHECKER.patches);
+    
+    // 잔차: 보정 후 색과 기준색의 ΔE2000
+    const patches = COLOR_CHECKER.patches.map((target, i) => {
+      const corrected = this.applyColorMatrix(matrix, measured[i]);
+      return {
+        name: target.name,
+        measured: measured[i],
+        corrected,
+        deltaE: this.deltaE2000(this.rgbToLab(corrected), this.rgbToLab(target))
+      };
+    });
+    const errors = patches.map(p => p.deltaE);
+    const residual = {
+      rms: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length),
+      max: Math.max(...errors)
+    };
+    
+    this.colorMatrix = matrix;
+    this.colorMatrixResidual = residual;
+    
+    console.log('[ColorAnalyzer] Color checker calibrated:', residual);
+    return { matrix, residual, patches };
+  }
+  
+  /**
+   * 카드 영역을 격자로 나눠 패치별 평균색 추출
+   */
+  sampleColorChecker(w, h, roi) {
+    const { rows, cols, sampleRatio } = COLOR_CHECKER;
+    const cellW = roi.w / cols;
+    const cellH = roi.h / rows;
+    const inset = (1 - sampleRatio) / 2;
+    
+    return COLOR_CHECKER.patches.map((patch, i) => {
+      const row = Math.floor(i / cols);
+      const col = i % cols;
+      const cell = {
+        x: roi.x + (col + inset) * cellW,
+        y: roi.y + (row + inset) * cellH,
+        w: cellW * sampleRatio,
+        h: cellH * sampleRatio
+      };
+      return this.calculateAverageColor(this.extractROI(w, h, cell));
+    });
+  }
+  
+  /**
+   * 색 보정 행렬 최소제곱 적합
+   * [r g b 1] · M = 기준색 (채널별 정규방정식)
+   * @param {Array} measured - 측정 RGB 목록
+   * @param {Array} targets - 기준 RGB 목록
+   * @param {boolean} affine - true: 3×4 (오프셋 포함), false: 3×3
+   * @returns {Array} 3행 (출력 r, g, b) × 4열 계수
+   */
+  fitColorMatrix(measured, targets, affine = true) {
+    const n = affine ? 4 : 3;
+    const rows = measured.map(c => affine ? [c.r, c.g, c.b, 1] : [c.r, c.g, c.b]);
+    if (rows.length < n) throw new Error(`패치가 ${n}개 이상 필요합니다`);
+    
+    // AᵀA
+    const ata = Array.from({ length: n }, (_, i) =>
+      Array.from({ length: n }, (_, j) => rows.reduce((sum, row) => sum + row[i] * row[j], 0))
+    );
+    
+    return ['r', 'g', 'b'].map(channel => {
+      const atb = Array.from({ length: n }, (_, i) =>
+        rows.reduce((sum, row, k) => sum + row[i] * targets[k][channel], 0)
+      );
+      const coeffs = this.solveLinearSystem(ata, atb);
+      return affine ? coeffs : [...coeffs, 0];
+    });
+  }
+  
+  /**
+   * 선형 연립방정식 (가우스 소거, 부분 피벗)
+   */
+  solveLinearSystem(matrix, vector) {
+    const n = vector.length;
+    const m = matrix.map((row, i) => [...row, vector[i]]);
+    
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let r = col + 1; r < n; r++) {
+        if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+      }
+      if (Math.abs(m[pivot][col]) < 1e-9) throw new Error('패치 색상이 부족하여 보정 행렬을 계산할 수 없습니다');
+      [m[col], m[pivot]] = [m[pivot], m[col]];
+      
+      for (let r = col + 1; r < n; r++) {
+        const f = m[r][col] / m[col][col];
+        for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+      }
+    }
+    
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+      let sum = m[r][n];
+      for (let c = r + 1; c < n; c++) sum -= m[r][c] * x[c];
+      x[r] = sum / m[r][r];
+    }
+    return x;
+  }
+  
+  applyColorMatrix(matrix, rgb) {
+    const clamp = v => Math.max(0, Math.min(255, Math.round(v)));
+    const [r, g, b] = matrix.map(row => clamp(row[0] * rgb.r + row[1] * rgb.g + row[2] * rgb.b + row[3]));
+    return { r, g, b };
+  }
+  
+  /**
+   * 색상 카드 보정 해제 (흰색 기준점 방식으로 복귀)
+   */
+  clearColorMatrix() {
+    this.colorMatrix = null;
+    this.colorMatrixResidual = null;
+  }
+  
+  /**
+   * 기준점 보정 적용 (색상 카드 행렬 우선)
    */
   applyReferenceCorrection(rgb) {
+    if (this.colorMatrix) {
+      return this.applyColorMatrix(this.colorMatrix, rgb);
+    }
+    
     if (!this.referenceCalibrated) {
       return rgb;  // 보정 없이 원본 반환
     }
@@ -263,82 +1038,153 @@ class ColorAnalyzer {
   }
   
   /**
-   * HSV 기반 값 보간
+   * 색상 곡선 투영 보간
+   * 테이블을 색 공간의 꺾은선으로 보고, 샘플을 가장 가까운 구간에 투영해 값을 읽음
+   * 곡선까지의 거리는 별도 오차(offCurve, ΔE2000)로 보고
+   * @returns {Object} { value, confidence, deltaE, offCurve, atLimit }
    */
   interpolateValue(hsv, table) {
-    // 가장 가까운 두 색상 찾기
-    let closestIdx = 0;
-    let minDist = Infinity;
+    // Lab 거리 방식이면 테이블도 Lab으로 변환
+    if (this.distanceMetric !== 'hsv') table = this.tableToLab(table);
     
-    for (let i = 0; i < table.length; i++) {
-      const dist = this.colorDistance(hsv, table[i]);
-      if (dist < minDist) {
-        minDist = dist;
-        closestIdx = i;
-      }
+    if (table.length === 1) {
+      return this.projectionResult(hsv, table[0], table[0].value, null);
     }
     
-    const closest = table[closestIdx];
-    
-    // 다음/이전 항목과 선형 보간
-    let value = closest.value;
+    let best = null;
     
-    if (closestIdx < table.length - 1) {
-      const next = table[closestIdx + 1];
-      const distToClosest = this.colorDistance(hsv, closest);
-      const distToNext = this.colorDistance(hsv, next);
-      const totalDist = distToClosest + distToNext;
+    for (let i = 0; i < table.length - 1; i++) {
+      const a = table[i];
+      const b = table[i + 1];
+      const t = this.projectOnSegment(hsv, a, b);
+      const point = this.lerpColor(a, b, t);
+      const dist = this.colorDistance(hsv, point);
       
-      if (totalDist > 0) {
-        const t = distToClosest / totalDist;
-        value = closest.value + t * (next.value - closest.value);
-      }
-    } else if (closestIdx > 0) {
-      const prev = table[closestIdx - 1];
-      const distToClosest = this.colorDistance(hsv, closest);
-      const distToPrev = this.colorDistance(hsv, prev);
-      const totalDist = distToClosest + distToPrev;
-      
-      if (totalDist > 0) {
-        const t = distToClosest / totalDist;
-        value = closest.value - t * (closest.value - prev.value);
+      if (!best || dist < best.dist) {
+        best = { dist, point, t, i, value: a.value + t * (b.value - a.value) };
       }
     }
     
-    // 신뢰도 계산 (거리 기반)
-    const maxDist = 100;  // 최대 허용 거리
-    const confidence = Math.max(0, Math.round((1 - minDist / maxDist) * 100));
+    // 곡선 양 끝에 걸리면 측정 범위 밖일 수 있음
+    let atLimit = null;
+    if (best.i === 0 && best.t === 0) atLimit = 'low';
+    if (best.i === table.length - 2 && best.t === 1) atLimit = 'high';
+    
+    return this.projectionResult(hsv, best.point, best.value, atLimit);
+  }
+  
+  projectionResult(sample, point, value, atLimit) {
+    // 신뢰도 계산 (곡선까지의 ΔE2000)
+    const offCurve = this.deltaE2000(this.toLab(sample), this.toLab(point));
+    const { full, zero } = this.confidenceDeltaE;
+    const confidence = Math.round(Math.min(1, Math.max(0, (zero - offCurve) / (zero - full))) * 100);
     
-    return { 
-      value: Math.round(value * 100) / 100, 
-      confidence 
+    return {
+      value: Math.round(value * 100) / 100,
+      confidence,
+      deltaE: Math.round(offCurve * 10) / 10,
+      offCurve: Math.round(offCurve * 10) / 10,
+      atLimit
     };
   }
   
   /**
-   * HSV 색상 거리 계산
+   * 구간 A→B 위 투영 위치 (0-1)
    */
-  colorDistance(hsv1, hsv2) {
-    // Hue 거리 (원형)
-    const hDiff = Math.min(
-      Math.abs(hsv1.h - hsv2.h),
-      360 - Math.abs(hsv1.h - hsv2.h)
-    );
-    
-    // S, V 거리
-    const sDiff = Math.abs(hsv1.s - hsv2.s);
-    const vDiff = Math.abs(hsv1.v - hsv2.v);
+  projectOnSegment(sample, a, b) {
+    const p = this.segmentVector(sample, a);
+    const d = this.segmentVector(b, a);
+    const len2 = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+    if (len2 === 0) return 0;
     
-    // 가중 거리 (Hue가 가장 중요)
-    return (hDiff * 0.6) + (sDiff * 0.25) + (vDiff * 0.15);
+    const t = (p[0] * d[0] + p[1] * d[1] + p[2] * d[2]) / len2;
+    return Math.min(1, Math.max(0, t));
   }
   
   /**
-   * 경고 체크
+   * 구간 시작점 기준 벡터
+   * HSV: 가중 좌표 (Hue는 시작점 기준 최단 호로 펼침), Lab: L*a*b*
    */
-  checkWarnings(hsv, rgb, testType) {
-    const warnings = [];
-    
+  segmentVector(color, origin) {
+    if (this.distanceMetric !== 'hsv') {
+      const c = this.toLab(color);
+      const o = this.toLab(origin);
+      return [c.L - o.L, c.a - o.a, c.b - o.b];
+    }
+    return [
+      this.hueDelta(origin.h, color.h) * 0.6,
+      (color.s - origin.s) * 0.25,
+      (color.v - origin.v) * 0.15
+    ];
+  }
+  
+  /**
+   * 구간 A→B 위 t 위치의 색상
+   */
+  lerpColor(a, b, t) {
+    const color = {
+      h: (a.h + t * this.hueDelta(a.h, b.h) + 360) % 360,
+      s: a.s + t * (b.s - a.s),
+      v: a.v + t * (b.v - a.v)
+    };
+    
+    if (a.lab && b.lab) {
+      color.lab = {
+        L: a.lab.L + t * (b.lab.L - a.lab.L),
+        a: a.lab.a + t * (b.lab.a - a.lab.a),
+        b: a.lab.b + t * (b.lab.b - a.lab.b)
+      };
+    }
+    return color;
+  }
+  
+  /**
+   * 색상 거리 계산 (distanceMetric 기준)
+   */
+  colorDistance(c1, c2) {
+    switch (this.distanceMetric) {
+      case 'de76': return this.deltaE76(this.toLab(c1), this.toLab(c2));
+      case 'de2000': return this.deltaE2000(this.toLab(c1), this.toLab(c2));
+      default: return this.hsvDistance(c1, c2);
+    }
+  }
+  
+  /**
+   * HSV 가중 거리
+   */
+  hsvDistance(hsv1, hsv2) {
+    // Hue 거리 (원형)
+    const hDiff = Math.min(
+      Math.abs(hsv1.h - hsv2.h),
+      360 - Math.abs(hsv1.h - hsv2.h)
+    );
+    
+    // S, V 거리
+    const sDiff = Math.abs(hsv1.s - hsv2.s);
+    const vDiff = Math.abs(hsv1.v - hsv2.v);
+    
+    // 가중 거리 (Hue가 가장 중요)
+    return (hDiff * 0.6) + (sDiff * 0.25) + (vDiff * 0.15);
+  }
+  
+  /**
+   * 경고 체크
+   */
+  checkWarnings(hsv, rgb, testType, result = null) {
+    const warnings = [];
+    
+    // 기준 색상 곡선에서 벗어남 (시약/조명 이상 가능)
+    if (result && result.offCurve > 10) {
+      warnings.push(`기준 색상에서 벗어남 (ΔE ${result.offCurve}) - 시약/조명 확인`);
+    }
+    
+    // 테이블 범위 끝
+    if (result && result.atLimit) {
+      warnings.push(result.atLimit === 'high'
+        ? '측정 범위 상한 - 실제 값이 더 높을 수 있음'
+        : '측정 범위 하한 - 실제 값이 더 낮을 수 있음');
+    }
+    
     // 채도 너무 낮음 (흐릿한 색)
     if (hsv.s < 20) {
       warnings.push('낮은 채도 - 시약 부족 또는 희석 확인');
@@ -354,8 +1200,13 @@ class ColorAnalyzer {
       warnings.push('과노출 - 조명 줄이기');
     }
     
-    // 기준점 미보정
-    if (!this.referenceCalibrated) {
+    // 색상 카드 보정 잔차 큼 (카드 오염 / 조명 불균일)
+    if (this.colorMatrix && this.colorMatrixResidual.rms > COLOR_CHECKER_RESIDUAL_WARN) {
+      warnings.push(`색상 카드 보정 오차 큼 (ΔE ${this.colorMatrixResidual.rms.toFixed(1)}) - 카드/조명 확인`);
+    }
+    
+    // 기준점 미보정 (색상 카드 / 흰색 기준점 둘 다 없음)
+    if (!this.colorMatrix && !this.referenceCalibrated) {
       warnings.push('기준점 미보정 - 정확도 저하 가능');
     }
     
@@ -363,17 +1214,279 @@ class ColorAnalyzer {
   }
   
   /**
-   * 테이블 선택
+   * 테이블 선택 (활성 프로필 우선)
    */
   getTable(type) {
+    return this.customTables[type] || this.getDefaultTable(type);
+  }
+  
+  /**
+   * 내장 테이블
+   */
+  getDefaultTable(type) {
     switch (type) {
       case 'ph': return this.phTable;
+      case 'phhr': return this.phhrTable;
       case 'nh3': return this.nh3Table;
       case 'no2': return this.no2Table;
+      case 'no3': return this.no3Table;
       default: return this.phTable;
     }
   }
   
+  /**
+   * 프로필 테이블 적용 (null이면 내장 테이블로 복귀)
+   */
+  setTable(type, table) {
+    if (table) {
+      this.customTables[type] = table.slice().sort((a, b) => a.value - b.value);
+    } else {
+      delete this.customTables[type];
+    }
+  }
+  
+  // ========== CIELAB ==========
+  
+  /**
+   * sRGB(0-255) → XYZ (D65, 0-100)
+   */
+  rgbToXyz(r, g, b) {
+    const lin = (c) => {
+      c /= 255;
+      return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    };
+    const R = lin(r) * 100, G = lin(g) * 100, B = lin(b) * 100;
+    
+    return {
+      x: R * 0.4124564 + G * 0.3575761 + B * 0.1804375,
+      y: R * 0.2126729 + G * 0.7151522 + B * 0.0721750,
+      z: R * 0.0193339 + G * 0.1191920 + B * 0.9503041
+    };
+  }
+  
+  /**
+   * XYZ → CIELAB (D65 백색점)
+   */
+  xyzToLab({ x, y, z }) {
+    const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+    const fx = f(x / 95.047);
+    const fy = f(y / 100.0);
+    const fz = f(z / 108.883);
+    
+    return {
+      L: 116 * fy - 16,
+      a: 500 * (fx - fy),
+      b: 200 * (fy - fz)
+    };
+  }
+  
+  rgbToLab(rgb) {
+    return this.xyzToLab(this.rgbToXyz(rgb.r, rgb.g, rgb.b));
+  }
+  
+  hsvToLab(hsv) {
+    return this.rgbToLab(this.hsvToRgb(hsv.h % 360, hsv.s, hsv.v));
+  }
+  
+  /**
+   * 색상 객체의 Lab 값 (lab 필드 우선, 없으면 HSV에서 변환)
+   */
+  toLab(color) {
+    return color.lab || this.hsvToLab(color);
+  }
+  
+  /**
+   * 테이블 항목에 Lab 값 추가
+   */
+  tableToLab(table) {
+    if (table.every(entry => entry.lab)) return table;
+    return table.map(entry => (entry.lab ? entry : { ...entry, lab: this.hsvToLab(entry) }));
+  }
+  
+  /**
+   * ΔE*ab (CIE76)
+   */
+  deltaE76(lab1, lab2) {
+    return Math.hypot(lab1.L - lab2.L, lab1.a - lab2.a, lab1.b - lab2.b);
+  }
+  
+  /**
+   * ΔE00 (CIEDE2000, kL = kC = kH = 1)
+   */
+  deltaE2000(lab1, lab2) {
+    const rad = Math.PI / 180;
+    const pow7 = (x) => Math.pow(x, 7);
+    
+    const C1 = Math.hypot(lab1.a, lab1.b);
+    const C2 = Math.hypot(lab2.a, lab2.b);
+    const Cbar = (C1 + C2) / 2;
+    const G = 0.5 * (1 - Math.sqrt(pow7(Cbar) / (pow7(Cbar) + pow7(25))));
+    
+    const a1p = (1 + G) * lab1.a;
+    const a2p = (1 + G) * lab2.a;
+    const C1p = Math.hypot(a1p, lab1.b);
+    const C2p = Math.hypot(a2p, lab2.b);
+    
+    const hueAngle = (b, ap) => {
+      if (b === 0 && ap === 0) return 0;
+      const h = Math.atan2(b, ap) / rad;
+      return h < 0 ? h + 360 : h;
+    };
+    const h1p = hueAngle(lab1.b, a1p);
+    const h2p = hueAngle(lab2.b, a2p);
+    
+    const dLp = lab2.L - lab1.L;
+    const dCp = C2p - C1p;
+    
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin((dhp / 2) * rad);
+    
+    const Lbarp = (lab1.L + lab2.L) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+    
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+      if (Math.abs(h1p - h2p) <= 180) hbarp = (h1p + h2p) / 2;
+      else if (h1p + h2p < 360) hbarp = (h1p + h2p + 360) / 2;
+      else hbarp = (h1p + h2p - 360) / 2;
+    }
+    
+    const T = 1
+      - 0.17 * Math.cos((hbarp - 30) * rad)
+      + 0.24 * Math.cos(2 * hbarp * rad)
+      + 0.32 * Math.cos((3 * hbarp + 6) * rad)
+      - 0.20 * Math.cos((4 * hbarp - 63) * rad);
+    
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const Rc = 2 * Math.sqrt(pow7(Cbarp) / (pow7(Cbarp) + pow7(25)));
+    const Sl = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const Sc = 1 + 0.045 * Cbarp;
+    const Sh = 1 + 0.015 * Cbarp * T;
+    const Rt = -Math.sin(2 * dTheta * rad) * Rc;
+    
+    const l = dLp / Sl;
+    const c = dCp / Sc;
+    const h = dHp / Sh;
+    return Math.sqrt(l * l + c * c + h * h + Rt * c * h);
+  }
+  
+  /**
+   * 테이블 곡선 위 특정 값의 색상 (값 기준 선형 보간, Hue는 최단 호)
+   */
+  tableColorAt(table, value) {
+    if (value <= table[0].value) return { h: table[0].h, s: table[0].s, v: table[0].v };
+    
+    for (let i = 1; i < table.length; i++) {
+      const a = table[i - 1];
+      const b = table[i];
+      if (value <= b.value) {
+        const t = (value - a.value) / (b.value - a.value);
+        return {
+          h: (a.h + t * this.hueDelta(a.h, b.h) + 360) % 360,
+          s: a.s + t * (b.s - a.s),
+          v: a.v + t * (b.v - a.v)
+        };
+      }
+    }
+    
+    const last = table[table.length - 1];
+    return { h: last.h, s: last.s, v: last.v };
+  }
+  
+  /**
+   * 부호 있는 Hue 차이 (h1 → h2, -180 ~ 180)
+   */
+  hueDelta(h1, h2) {
+    return ((h2 - h1 + 540) % 360) - 180;
+  }
+  
+  /**
+   * 표준액 보정점으로 테이블 보정
+   * 각 보정점의 색상 오차(측정 - 테이블)를 값 축으로 선형 보간해 항목별로 적용
+   * @param {Array<Object>} table - 기준 테이블
+   * @param {Array<Object>} points - { value: 실제 농도, hsv: 측정 색상 }
+   * @returns {Object} { table, residuals: [{ value, before, after }] }
+   */
+  fitCalibratedTable(table, points) {
+    const offsets = points
+      .map(p => {
+        const expected = this.tableColorAt(table, p.value);
+        return {
+          value: p.value,
+          h: this.hueDelta(expected.h, p.hsv.h),
+          s: p.hsv.s - expected.s,
+          v: p.hsv.v - expected.v
+        };
+      })
+      .sort((a, b) => a.value - b.value);
+    
+    // 보정점 사이는 선형, 바깥은 가장 가까운 보정점 오차 유지
+    const offsetAt = (value) => {
+      if (value <= offsets[0].value) return offsets[0];
+      for (let i = 1; i < offsets.length; i++) {
+        const a = offsets[i - 1];
+        const b = offsets[i];
+        if (value <= b.value) {
+          const t = b.value === a.value ? 0 : (value - a.value) / (b.value - a.value);
+          return {
+            h: a.h + t * (b.h - a.h),
+            s: a.s + t * (b.s - a.s),
+            v: a.v + t * (b.v - a.v)
+          };
+        }
+      }
+      return offsets[offsets.length - 1];
+    };
+    
+    const clamp = (x) => Math.min(100, Math.max(0, Math.round(x)));
+    const fitted = table.map(entry => {
+      const o = offsetAt(entry.value);
+      return {
+        value: entry.value,
+        h: Math.round((entry.h + o.h + 360) % 360),
+        s: clamp(entry.s + o.s),
+        v: clamp(entry.v + o.v)
+      };
+    });
+    
+    const residuals = points.map(p => ({
+      value: p.value,
+      before: this.interpolateValue(p.hsv, table).value - p.value,
+      after: this.interpolateValue(p.hsv, fitted).value - p.value
+    }));
+    
+    return { table: fitted, residuals };
+  }
+  
+  /**
+   * HSV → RGB 변환 (테이블 미리보기용)
+   */
+  hsvToRgb(h, s, v) {
+    s /= 100; v /= 100;
+    const c = v * s;
+    const x = c * (1 - Math.abs(((h / 60) % 2) - 1));
+    const m = v - c;
+    
+    let r = 0, g = 0, b = 0;
+    if (h < 60)       { r = c; g = x; }
+    else if (h < 120) { r = x; g = c; }
+    else if (h < 180) { g = c; b = x; }
+    else if (h < 240) { g = x; b = c; }
+    else if (h < 300) { r = x; b = c; }
+    else              { r = c; b = x; }
+    
+    return {
+      r: Math.round((r + m) * 255),
+      g: Math.round((g + m) * 255),
+      b: Math.round((b + m) * 255)
+    };
+  }
+  
   /**
    * RGB → CSS 색상 문자열
    */
@@ -393,6 +1506,12 @@ class ColorAnalyzer {
         if (value <= 7.6) return { status: 'warning', text: '약알칼리 (주의)' };
         return { status: 'danger', text: '알칼리 (위험)' };
         
+      case 'phhr':
+        if (value <= 7.4) return { status: 'ok', text: '정상' };
+        if (value <= 7.8) return { status: 'warning', text: '약알칼리 (주의)' };
+        if (value <= 8.2) return { status: 'danger', text: '알칼리 (위험)' };
+        return { status: 'danger', text: '강알칼리 (위험)' };
+        
       case 'nh3':
         if (value === 0) return { status: 'ok', text: '안전' };
         if (value <= 0.25) return { status: 'ok', text: '안전' };
@@ -407,6 +1526,12 @@ class ColorAnalyzer {
         if (value <= 1.0) return { status: 'warning', text: '스트레스' };
         return { status: 'danger', text: '위험! 즉시 물갈이' };
         
+      case 'no3':
+        if (value <= 10) return { status: 'ok', text: '안전' };
+        if (value <= 20) return { status: 'ok', text: '양호' };
+        if (value <= 40) return { status: 'warning', text: '주의 - 물갈이 권장' };
+        return { status: 'danger', text: '위험! 즉시 물갈이' };
+        
       default:
         return { status: 'unknown', text: '알 수 없음' };
     }
@@ -414,273 +1539,3291 @@ class ColorAnalyzer {
 }
 
 // =========================================================================
-// 🐟 메인 애플리케이션
+// 💾 localStorage JSON 저장소 (설정 / 장치별 기록 공통)
 // =========================================================================
 
-class AutoFreshCheck {
-  constructor() {
-    // v6.0: 자동 API URL 탐지
-    // 1. localStorage에 저장된 URL
-    // 2. mDNS (freshcheck.local)
-    // 3. AP 모드 기본값 (192.168.4.1)
-    this.apiUrl = localStorage.getItem('apiUrl') || '';
-    this.pollInterval = null;
-    this.connected = false;
-    this.currentTab = 'measure';
-    this.primeMode = 'smart';  // 'smart' or 'blind'
-    
-    // 시스템 정보 (v6.0)
-    this.systemInfo = null;
-    this.wifiMode = 'unknown';
-    
-    // 🎨 색상 분석기
-    this.colorAnalyzer = new ColorAnalyzer();
-    this.lastAnalysis = null;
+/**
+ * localStorage 키 하나에 JSON 객체 보관 (읽기 실패 시 빈 객체)
+ */
+class LocalStore {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
     
-    this.init();
+    try {
+      this.data = JSON.parse(localStorage.getItem(storageKey)) || {};
+    } catch (e) {
+      this.data = {};
+    }
+  }
+  
+  persist() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.data));
   }
+}
 
-  async init() {
-    this.bindEvents();
-    this.loadSettings();
-    
-    // v6.0: 자동 API URL 탐지
-    if (!this.apiUrl) {
-      this.showMessage('장치 연결 중...', 'info');
-      await this.autoDetectDevice();
+/**
+ * 장치 ID별 항목 저장소 (data[deviceId])
+ */
+class DeviceStore extends LocalStore {
+  /**
+   * 임시 키 (장치 식별 전 주소 host)로 저장된 항목을 장치 ID로 이전
+   */
+  rekey(from, to) {
+    if (!this.data[from]) return;
+    if (!this.data[to]) this.data[to] = this.data[from];
+    delete this.data[from];
+    this.persist();
+  }
+}
+
+// =========================================================================
+// 🎨 색상 테이블 프로필 - localStorage (키트/조명별 튜닝)
+// =========================================================================
+
+// 테이블 편집 대상 테스트
+const TABLE_TEST_TYPES = [
+  { key: 'ph',  label: 'pH' },
+  { key: 'phhr', label: 'pH 고범위' },
+  { key: 'nh3', label: 'NH3' },
+  { key: 'no2', label: 'NO2' },
+  { key: 'no3', label: 'NO3' },
+];
+
+class ColorProfileStore extends LocalStore {
+  constructor(storageKey = 'colorProfiles') {
+    super(storageKey);
+    this.format = 'freshcheck-color-table';
+    this.version = 1;
+  }
+  
+  entry(type) {
+    if (!this.data[type]) this.data[type] = { active: null, profiles: {} };
+    return this.data[type];
+  }
+  
+  list(type) {
+    return Object.keys(this.entry(type).profiles).sort();
+  }
+  
+  get(type, name) {
+    return this.entry(type).profiles[name] || null;
+  }
+  
+  /**
+   * 프로필 저장 (검증 + 값 기준 정렬)
+   */
+  save(type, name, table) {
+    if (!name) throw new Error('프로필 이름을 입력하세요');
+    this.entry(type).profiles[name] = this.validateTable(table);
+    this.persist();
+  }
+  
+  remove(type, name) {
+    const entry = this.entry(type);
+    delete entry.profiles[name];
+    if (entry.active === name) entry.active = null;
+    this.persist();
+  }
+  
+  setActive(type, name) {
+    this.entry(type).active = name && this.get(type, name) ? name : null;
+    this.persist();
+  }
+  
+  getActiveName(type) {
+    return this.entry(type).active;
+  }
+  
+  getActiveTable(type) {
+    const name = this.getActiveName(type);
+    return name ? this.get(type, name) : null;
+  }
+  
+  /**
+   * 테이블 검증
+   * @returns {Array<Object>} 정렬된 { value, h, s, v } 배열
+   */
+  validateTable(table) {
+    if (!Array.isArray(table) || table.length < 2) {
+      throw new Error('테이블은 2개 이상의 항목이 필요합니다');
     }
     
-    this.startPolling();
-    this.updateApiUrlDisplay();
+    const rows = table.map((row, i) => {
+      const entry = {
+        value: Number(row.value),
+        h: Number(row.h),
+        s: Number(row.s),
+        v: Number(row.v)
+      };
+      if (!Object.values(entry).every(Number.isFinite)) throw new Error(`${i + 1}행: 숫자가 아닌 값`);
+      if (entry.h < 0 || entry.h > 360) throw new Error(`${i + 1}행: H는 0-360`);
+      if (entry.s < 0 || entry.s > 100 || entry.v < 0 || entry.v > 100) throw new Error(`${i + 1}행: S/V는 0-100`);
+      return entry;
+    }).sort((a, b) => a.value - b.value);
     
-    // v6.0: 시스템 정보 로드
-    this.loadSystemInfo();
+    for (let i = 1; i < rows.length; i++) {
+      if (rows[i].value === rows[i - 1].value) throw new Error(`중복된 값: ${rows[i].value}`);
+    }
+    return rows;
   }
   
-  // v6.0: 자동 장치 탐지
-  async autoDetectDevice() {
-    const candidates = [
-      'http://freshcheck.local',       // mDNS (STA 모드)
-      'http://192.168.4.1',            // AP 모드 기본값
-      window.location.origin,          // 같은 서버
-    ];
+  exportJSON(type, name) {
+    return JSON.stringify({
+      format: this.format,
+      version: this.version,
+      testType: type,
+      name,
+      table: this.get(type, name)
+    }, null, 2);
+  }
+  
+  /**
+   * JSON 가져오기 (같은 이름이 있으면 번호 붙임)
+   * @returns {Object} { testType, name }
+   */
+  importJSON(text) {
+    const data = JSON.parse(text);
+    if (data.format !== this.format) throw new Error('색상 테이블 파일이 아닙니다');
+    if (!TABLE_TEST_TYPES.some(t => t.key === data.testType)) {
+      throw new Error(`알 수 없는 테스트: ${data.testType}`);
+    }
     
-    for (const url of candidates) {
-      try {
-        console.log(`[AutoDetect] Trying ${url}...`);
-        const response = await fetch(`${url}/api/status`, { 
-          method: 'GET',
-          mode: 'cors',
-          signal: AbortSignal.timeout(3000)  // 3초 타임아웃
-        });
-        
-        if (response.ok) {
-          this.apiUrl = url;
-          localStorage.setItem('apiUrl', url);
-          console.log(`[AutoDetect] ✓ Found device at ${url}`);
-          this.showMessage(`장치 연결됨: ${url}`, 'success');
-          return;
-        }
-      } catch (e) {
-        console.log(`[AutoDetect] ✗ ${url} failed`);
-      }
+    const base = String(data.name || '가져온 프로필');
+    let name = base;
+    for (let n = 2; this.get(data.testType, name); n++) {
+      name = `${base} (${n})`;
     }
     
-    // 탐지 실패 시 AP 모드 기본값 사용
-    this.apiUrl = 'http://192.168.4.1';
-    this.showMessage('장치를 찾을 수 없음. AP 모드(192.168.4.1)로 시도합니다.', 'warning');
+    this.save(data.testType, name, data.table);
+    return { testType: data.testType, name };
   }
-  
-  // v6.0: 시스템 정보 로드
-  async loadSystemInfo() {
-    try {
-      const [system, wifi] = await Promise.all([
-        this.api('/system'),
+}
+
+// =========================================================================
+// 🧪 표준액 보정점 - localStorage
+// =========================================================================
+
+// 보정 테이블 계산에 필요한 최소 보정점 수
+const MIN_CALIBRATION_POINTS = 2;
+
+class CalibrationStore extends LocalStore {
+  constructor(storageKey = 'calibrationPoints') {
+    super(storageKey);
+  }
+  
+  entry(type) {
+    if (!this.data[type]) this.data[type] = { points: [], residualRms: null };
+    return this.data[type];
+  }
+  
+  getPoints(type) {
+    return this.entry(type).points;
+  }
+  
+  addPoint(type, point) {
+    this.entry(type).points.push(point);
+    this.persist();
+  }
+  
+  removePoint(type, index) {
+    this.entry(type).points.splice(index, 1);
+    this.persist();
+  }
+  
+  clear(type) {
+    this.entry(type).points = [];
+    this.persist();
+  }
+  
+  /**
+   * 적용된 보정 테이블의 잔차 RMS 기록
+   * @param {string} [profile] - 잔차를 계산한 프로필 이름
+   */
+  setResidualRms(type, rms, profile = null) {
+    this.entry(type).residualRms = rms;
+    this.entry(type).residualProfile = profile;
+    this.persist();
+  }
+  
+  /**
+   * @param {string} [profile] - 지정 시 해당 프로필의 잔차만 반환
+   */
+  getResidualRms(type, profile) {
+    const entry = this.entry(type);
+    // 프로필 이름 없이 기록된 잔차는 어느 프로필 것인지 알 수 없으므로 제외
+    if (profile !== undefined && entry.residualProfile !== profile) return null;
+    return entry.residualRms;
+  }
+}
+
+// =========================================================================
+// 🎯 ROI (샘플 / 기준 색종이 영역) - localStorage, 장치별
+// =========================================================================
+
+// 지정 가능한 최소 ROI 크기 (정규화)
+const MIN_ROI_SIZE = 0.02;
+
+class RoiStore extends DeviceStore {
+  constructor(storageKey = 'roiSettings') {
+    super(storageKey);
+  }
+  
+  /**
+   * 장치 ROI (지정하지 않은 영역은 기본값)
+   * @returns {Object} { sample, reference }
+   */
+  get(deviceId) {
+    return { ...DEFAULT_ROIS, ...(this.data[deviceId] || {}) };
+  }
+  
+  isCustom(deviceId, kind) {
+    return !!(this.data[deviceId] && this.data[deviceId][kind]);
+  }
+  
+  /**
+   * @param {string} kind - 'sample' | 'reference'
+   * @param {Object} roi - { x, y, w, h } 정규화 좌표
+   */
+  set(deviceId, kind, roi) {
+    if (!DEFAULT_ROIS[kind]) throw new Error(`알 수 없는 ROI: ${kind}`);
+    
+    const x = Math.max(0, Math.min(1, roi.x));
+    const y = Math.max(0, Math.min(1, roi.y));
+    const clamped = {
+      x,
+      y,
+      w: Math.min(1 - x, roi.w),
+      h: Math.min(1 - y, roi.h)
+    };
+    if (!(clamped.w >= MIN_ROI_SIZE && clamped.h >= MIN_ROI_SIZE)) {
+      throw new Error('영역이 너무 작습니다');
+    }
+    
+    this.data[deviceId] = { ...(this.data[deviceId] || {}), [kind]: clamped };
+    this.persist();
+    return clamped;
+  }
+  
+  reset(deviceId) {
+    delete this.data[deviceId];
+    this.persist();
+  }
+}
+
+// ROI 오버레이 표시
+const ROI_STYLES = {
+  sample:    { label: '샘플', color: '#22c55e' },
+  reference: { label: '기준', color: '#60a5fa' },
+};
+
+// 자동 감지 영역 표시
+const DETECTED_ROI_STYLE = { label: '감지', color: '#f59e0b' };
+
+// =========================================================================
+// 🧴 시약 재고 - localStorage, 장치별
+// =========================================================================
+
+// 새 시약병 기본 용량 (ml)
+const REAGENT_DEFAULTS = { bottleMl: 30 };
+
+// 재고를 추적하는 시약 펌프 (pH / NH3 #1 / NH3 #2 / NO2)
+const REAGENT_PUMPS = [1, 2, 3, 4];
+
+// 펌프별 1회 측정 투입량 기본값 (ml) - 장치가 측정 투입 스텝 수를 보고하지 않을 때만 사용
+const REAGENT_DOSE_ML = { 1: 0.15, 2: 0.4, 3: 0.4, 4: 0.25 };
+
+// 남은 측정 횟수가 이 이하이면 부족 경고
+const REAGENT_LOW_TESTS = 5;
+
+// 펌프별 보관할 보충 기록 수
+const REAGENT_REFILL_LOG = 10;
+
+class ReagentInventory extends DeviceStore {
+  constructor(storageKey = 'reagentInventory') {
+    super(storageKey);
+  }
+  
+  /**
+   * 펌프 시약병 기록 (없으면 기본값으로 생성)
+   * @returns {Object} { bottleMl, usedMl, doseMl, filledAt, refills }
+   */
+  entry(deviceId, pump) {
+    if (!this.data[deviceId]) this.data[deviceId] = {};
+    const pumps = this.data[deviceId];
+    if (!pumps[pump]) {
+      pumps[pump] = {
+        bottleMl: REAGENT_DEFAULTS.bottleMl,
+        usedMl: 0,
+        doseMl: REAGENT_DOSE_ML[pump] || REAGENT_DOSE_ML[1],
+        filledAt: null,  // 보충 기록 전에는 알 수 없음
+        refills: []
+      };
+    }
+    return pumps[pump];
+  }
+  
+  /**
+   * 사용량 차감 (음수 = 역방향 회수)
+   */
+  consume(deviceId, pump, ml) {
+    if (!Number.isFinite(ml) || ml === 0) return;
+    
+    const entry = this.entry(deviceId, pump);
+    entry.usedMl = Math.max(0, entry.usedMl + ml);
+    this.persist();
+  }
+  
+  /**
+   * 장치가 빈 병을 보고함 (empty_bottle)
+   */
+  markEmpty(deviceId, pump) {
+    const entry = this.entry(deviceId, pump);
+    entry.usedMl = Math.max(entry.usedMl, entry.bottleMl);
+    this.persist();
+  }
+  
+  /**
+   * 새 병으로 교체 / 보충
+   * @param {number} [bottleMl] - 새 병 용량 (생략 시 이전 용량)
+   */
+  refill(deviceId, pump, bottleMl) {
+    const entry = this.entry(deviceId, pump);
+    const leftMl = Math.max(0, entry.bottleMl - entry.usedMl);  // 교체 전 남은 양 (추정 오차 확인용)
+    if (Number.isFinite(bottleMl) && bottleMl > 0) entry.bottleMl = bottleMl;
+    
+    entry.refills.push({ at: Date.now(), bottleMl: entry.bottleMl, leftMl });
+    entry.refills = entry.refills.slice(-REAGENT_REFILL_LOG);
+    entry.usedMl = 0;
+    entry.filledAt = Date.now();
+    this.persist();
+  }
+  
+  setDose(deviceId, pump, doseMl) {
+    if (!(Number.isFinite(doseMl) && doseMl > 0)) return;
+    this.entry(deviceId, pump).doseMl = doseMl;
+    this.persist();
+  }
+  
+  /**
+   * 잔량 / 남은 측정 횟수
+   * @returns {Object} { remainingMl, tests, level: 'ok'|'low'|'empty' }
+   */
+  status(deviceId, pump) {
+    const entry = this.entry(deviceId, pump);
+    const remainingMl = Math.max(0, entry.bottleMl - entry.usedMl);
+    const tests = Math.floor(remainingMl / entry.doseMl + 1e-9);  // 부동소수 오차 보정
+    
+    let level = 'ok';
+    if (tests < 1) level = 'empty';
+    else if (tests <= REAGENT_LOW_TESTS) level = 'low';
+    
+    return { remainingMl, tests, level };
+  }
+}
+
+// =========================================================================
+// 🧵 튜브 구성 (블라인드 프라이밍 부피) - localStorage, 장치별
+// =========================================================================
+
+// 튜브 기본값 (mm): 내경 / 길이
+const TUBE_DEFAULTS = { innerDiameter: 2, length: 400 };
+
+// 블라인드 프라이밍 = 데드 볼륨 × 여유 배수 (튜브 끝까지 확실히 채움)
+const PRIME_VOLUME_MARGIN = 1.2;
+
+class TubeStore extends DeviceStore {
+  constructor(storageKey = 'tubeGeometry') {
+    super(storageKey);
+  }
+  
+  /**
+   * @param {number|string} line - 시약 펌프 번호 또는 'sample'
+   * @returns {Object} { innerDiameter, length } (mm)
+   */
+  get(deviceId, line) {
+    return { ...TUBE_DEFAULTS, ...((this.data[deviceId] || {})[line] || {}) };
+  }
+  
+  set(deviceId, line, { innerDiameter, length }) {
+    if (!(innerDiameter > 0 && length > 0)) throw new Error('튜브 내경 / 길이를 확인하세요');
+    
+    this.data[deviceId] = { ...(this.data[deviceId] || {}), [line]: { innerDiameter, length } };
+    this.persist();
+  }
+  
+  /**
+   * 튜브 데드 볼륨 (ml) = π r² L, mm³ → ml
+   */
+  static volumeMl({ innerDiameter, length }) {
+    return (Math.PI * (innerDiameter / 2) ** 2 * length) / 1000;
+  }
+}
+
+// =========================================================================
+// 🔬 광센서 보정 (공기 / 액체 기준값 → 센서별 임계값)
+// =========================================================================
+
+// 보정 전 임계값 (이보다 낮으면 액체)
+const OPTICAL_DEFAULT_THRESHOLD = 2250;
+
+// 히스테리시스 폭: 공기-액체 차이 대비 비율 (임계값 ± 폭)
+const OPTICAL_HYSTERESIS_RATIO = 0.1;
+
+// 공기-액체 차이 기준 (원시값): good 이상 정상, weak 이상 주의, 미만 신뢰 불가
+const OPTICAL_HEALTH = { good: 800, weak: 300 };
+
+// 기준값 측정 시 읽기 횟수 / 간격 (평균)
+const OPTICAL_SAMPLES = { count: 5, interval: 200 };
+
+class OpticalCalibration {
+  constructor() {
+    this.air = null;     // 센서별 평균 (튜브 비움)
+    this.liquid = null;  // 센서별 평균 (프라이밍 후)
+  }
+  
+  /**
+   * @param {string} phase - 'air' | 'liquid'
+   * @param {number[][]} samples - /api/optical sensors 배열 여러 번
+   */
+  record(phase, samples) {
+    this[phase] = samples[0].map((_, i) =>
+      Math.round(samples.reduce((sum, s) => sum + s[i], 0) / samples.length)
+    );
+  }
+  
+  isComplete() {
+    return !!(this.air && this.liquid);
+  }
+  
+  /**
+   * @returns {Array<Object|null>} 센서별 { air, liquid, gap, threshold, hysteresis, health }, 두 단계 값이 모두 없으면 null
+   */
+  compute() {
+    return this.air.map((air, i) =>
+      Number.isFinite(this.liquid[i]) ? OpticalCalibration.evaluate(air, this.liquid[i]) : null
+    );
+  }
+  
+  static evaluate(air, liquid) {
+    const gap = air - liquid;
+    return {
+      air,
+      liquid,
+      gap,
+      threshold: Math.round((air + liquid) / 2),
+      hysteresis: Math.round(Math.max(0, gap) * OPTICAL_HYSTERESIS_RATIO),
+      health: OpticalCalibration.health(gap)
+    };
+  }
+  
+  /**
+   * @returns {string} 'good' | 'weak' | 'bad'
+   */
+  static health(gap) {
+    if (gap >= OPTICAL_HEALTH.good) return 'good';
+    if (gap >= OPTICAL_HEALTH.weak) return 'weak';
+    return 'bad';
+  }
+}
+
+// 광센서 상태 표시
+const OPTICAL_HEALTH_TEXT = { good: '정상', weak: '주의', bad: '신뢰 불가' };
+
+// 스마트 프라이밍 중 광센서 조회 간격 / 요청 타임아웃 / ADC 최대값
+const OPTICAL_TRACE = { interval: 250, timeout: 1500, max: 4095 };
+
+// 그래프 선 색 (P1 ~ P7)
+const OPTICAL_TRACE_COLORS = ['#22c55e', '#60a5fa', '#a78bfa', '#f472b6', '#f59e0b', '#2dd4bf', '#f87171'];
+
+/**
+ * 프라이밍 중 광센서 실시간 그래프
+ */
+class OpticalTraceChart {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.padding = { left: 36, right: 8, top: 8, bottom: 18 };
+  }
+
+  /**
+   * @param {Object} trace - { pump, samples: [{ t, sensors }], threshold, hysteresis, detectedAt, endedAt }
+   * @param {number[]} pumps - 그릴 센서 (펌프 번호)
+   */
+  draw(trace, pumps) {
+    const dpr = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    this.canvas.width = width * dpr;
+    this.canvas.height = height * dpr;
+
+    const ctx = this.ctx;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const { left, right, top, bottom } = this.padding;
+    const plotW = width - left - right;
+    const plotH = height - top - bottom;
+    const last = trace.samples.length ? trace.samples[trace.samples.length - 1].t : 0;
+    const duration = Math.max(5000, trace.endedAt ?? last);
+
+    const scaleX = t => left + (t / duration) * plotW;
+    const scaleY = v => top + plotH - (v / OPTICAL_TRACE.max) * plotH;
+
+    // 감지 임계값 (± 히스테리시스)
+    ctx.fillStyle = 'rgba(34, 197, 94, 0.10)';
+    const bandTop = scaleY(trace.threshold + trace.hysteresis);
+    ctx.fillRect(left, bandTop, plotW, Math.max(scaleY(trace.threshold - trace.hysteresis) - bandTop, 1));
+    ctx.strokeStyle = '#22c55e';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(left, scaleY(trace.threshold));
+    ctx.lineTo(left + plotW, scaleY(trace.threshold));
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // 축 라벨
+    ctx.fillStyle = '#666666';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    [0, OPTICAL_TRACE.max / 2, OPTICAL_TRACE.max].forEach(v => {
+      ctx.fillText(String(Math.round(v)), left - 4, scaleY(v));
+    });
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let i = 0; i <= 4; i++) {
+      ctx.fillText(`${((duration * i) / 4 / 1000).toFixed(0)}s`, left + (plotW * i) / 4, top + plotH + 4);
+    }
+
+    // 센서별 선 (프라이밍 중인 펌프 강조)
+    for (const pump of pumps) {
+      const idx = pump - 1;
+      const points = trace.samples.filter(s => Number.isFinite(s.sensors[idx]));
+      if (points.length === 0) continue;
+
+      ctx.globalAlpha = pump === trace.pump ? 1 : 0.3;
+      ctx.strokeStyle = OPTICAL_TRACE_COLORS[idx % OPTICAL_TRACE_COLORS.length];
+      ctx.lineWidth = pump === trace.pump ? 2 : 1;
+      ctx.beginPath();
+      points.forEach((s, i) => {
+        const x = scaleX(s.t);
+        const y = scaleY(s.sensors[idx]);
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      });
+      ctx.stroke();
+    }
+    ctx.globalAlpha = 1;
+
+    // 액체 감지 / 펌프 정지 표시
+    const marker = (t, color, label) => {
+      const x = scaleX(t);
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, top);
+      ctx.lineTo(x, top + plotH);
+      ctx.stroke();
+      ctx.fillStyle = color;
+      ctx.textAlign = x > left + plotW / 2 ? 'right' : 'left';
+      ctx.fillText(label, x + (ctx.textAlign === 'right' ? -4 : 4), top + 2);
+    };
+    if (trace.detectedAt !== null) marker(trace.detectedAt, '#22c55e', `감지 ${(trace.detectedAt / 1000).toFixed(1)}s`);
+    if (trace.endedAt !== null) marker(trace.endedAt, '#a0a0a0', '');
+  }
+}
+
+// 프라이밍 시간 기록: 펌프별 보관 수 / 비교에 필요한 최소 이전 기록 / 기준 구간 / 편차 경고 비율
+const PRIME_LOG = { keep: 20, baseline: 3, window: 5, driftRatio: 0.3 };
+
+/**
+ * 스마트 프라이밍 시간 기록 - localStorage, 장치 / 펌프별
+ * 시간이 늘면 튜브 막힘 / 누설, 줄면 튜브 잔류 시약 의심
+ */
+class PrimeLog extends DeviceStore {
+  constructor(storageKey = 'primeLog') {
+    super(storageKey);
+  }
+  
+  /**
+   * @returns {Object[]} { at, durationMs, detectedMs, result: 'ok'|'empty' } (오래된 순)
+   */
+  get(deviceId, pump) {
+    return (this.data[deviceId] && this.data[deviceId][pump]) || [];
+  }
+  
+  add(deviceId, pump, entry) {
+    if (!this.data[deviceId]) this.data[deviceId] = {};
+    this.data[deviceId][pump] = [...this.get(deviceId, pump), entry].slice(-PRIME_LOG.keep);
+    this.persist();
+  }
+  
+  /**
+   * 최근 정상 프라이밍 시간과 이전 기록 중앙값 비교
+   * @returns {Object|null} { latestMs, baselineMs, ratio, drifted } - 기록 부족 시 null
+   */
+  drift(deviceId, pump) {
+    const ok = this.get(deviceId, pump).filter(e => e.result === 'ok');
+    if (ok.length < PRIME_LOG.baseline + 1) return null;
+    
+    const latestMs = ok[ok.length - 1].durationMs;
+    const prev = ok.slice(-(PRIME_LOG.window + 1), -1).map(e => e.durationMs).sort((x, y) => x - y);
+    const mid = Math.floor(prev.length / 2);
+    const baselineMs = prev.length % 2 ? prev[mid] : (prev[mid - 1] + prev[mid]) / 2;
+    const ratio = latestMs / baselineMs - 1;
+    
+    return { latestMs, baselineMs, ratio, drifted: Math.abs(ratio) > PRIME_LOG.driftRatio };
+  }
+}
+
+// =========================================================================
+// 📚 측정 기록 저장소 - IndexedDB (장치 오프라인에도 유지)
+// =========================================================================
+
+class HistoryStore {
+  constructor(dbName = 'freshcheck') {
+    this.dbName = dbName;
+    this.storeName = 'history';
+    this.db = null;
+  }
+
+  /**
+   * DB 열기 (최초 1회 스키마 생성)
+   */
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(this.storeName, { keyPath: 'id' });
+        store.createIndex('timestamp', 'timestamp');
+        store.createIndex('deviceId', 'deviceId');
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 기록 키: 장치 + 시각 + 출처 + 테스트 종류
+   * 같은 장치 기록을 다시 병합해도 중복되지 않음
+   */
+  makeId(record) {
+    return [record.deviceId, record.timestamp, record.source, record.testType || 'all'].join('|');
+  }
+
+  /**
+   * 기록 저장 (같은 키는 덮어씀)
+   * @param {Array<Object>} records
+   * @returns {Promise<number>} 저장 건수
+   */
+  async putMany(records) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readwrite');
+      const store = tx.objectStore(this.storeName);
+
+      for (const record of records) {
+        store.put({ ...record, id: this.makeId(record) });
+      }
+
+      tx.oncomplete = () => resolve(records.length);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async add(record) {
+    await this.putMany([record]);
+    return record;
+  }
+
+  /**
+   * 장치 식별 전 임시 키로 저장된 기록을 장치 ID로 이전
+   * @returns {Promise<number>} 이전 건수
+   */
+  async reassignDevice(from, to) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      const request = store.index('deviceId').openCursor(IDBKeyRange.only(from));
+      let moved = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+
+        const record = { ...cursor.value, deviceId: to };
+        cursor.delete();
+        store.put({ ...record, id: this.makeId(record) });
+        moved++;
+        cursor.continue();
+      };
+
+      tx.oncomplete = () => resolve(moved);
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * 장치 /api/history 응답 병합
+   */
+  mergeDeviceHistory(deviceId, items) {
+    const records = items
+      .filter(item => item && typeof item.timestamp === 'number')
+      .map(item => ({
+        deviceId,
+        timestamp: item.timestamp,
+        source: 'device',
+        testType: null,
+        values: {
+          ph: item.ph > 0 ? item.ph : null,
+          nh3: item.nh3 >= 0 ? item.nh3 : null,
+          no2: item.no2 >= 0 ? item.no2 : null,
+          no3: item.no3 >= 0 ? item.no3 : null
+        }
+      }));
+
+    return this.putMany(records);
+  }
+
+  /**
+   * 기록 조회 (최신순, 필터 + 페이지)
+   * @param {Object} filter - { deviceId, testType, source, offset, limit }
+   * @returns {Promise<Object>} { records, total }
+   */
+  async query({ deviceId = null, testType = 'all', source = 'all', offset = 0, limit = 20 } = {}) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readonly');
+      const request = tx.objectStore(this.storeName).index('timestamp').openCursor(null, 'prev');
+      const records = [];
+      let total = 0;
+
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+          resolve({ records, total });
+          return;
+        }
+
+        const record = cursor.value;
+        const matches =
+          (!deviceId || record.deviceId === deviceId) &&
+          (source === 'all' || record.source === source) &&
+          (testType === 'all' || (record.values && record.values[testType] != null));
+
+        if (matches) {
+          if (total >= offset && records.length < limit) records.push(record);
+          total++;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 기간 내 기록 조회 (오래된 순)
+   * @param {Object} range - { deviceId, from }
+   */
+  async getRange({ deviceId = null, from = 0 } = {}) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readonly');
+      const request = tx.objectStore(this.storeName).index('timestamp').getAll(IDBKeyRange.lowerBound(from));
+
+      request.onsuccess = () => {
+        resolve(request.result.filter(record => !deviceId || record.deviceId === deviceId));
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 가져온 기록 추가 (이미 있는 키는 건너뜀)
+   * @returns {Promise<Object>} { added, duplicates }
+   */
+  async importRecords(records) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, 'readwrite');
+      const store = tx.objectStore(this.storeName);
+      let added = 0;
+      let duplicates = 0;
+
+      for (const record of records) {
+        const request = store.add({ ...record, id: this.makeId(record) });
+        request.onsuccess = () => added++;
+        request.onerror = (e) => {
+          // 중복 키: 트랜잭션 중단 없이 건너뜀
+          if (request.error && request.error.name === 'ConstraintError') {
+            e.preventDefault();
+            duplicates++;
+          }
+        };
+      }
+
+      tx.oncomplete = () => resolve({ added, duplicates });
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+}
+
+// =========================================================================
+// 📤 측정 기록 내보내기 / 가져오기 (CSV, JSON)
+// =========================================================================
+
+// 기록에 저장되는 측정 항목
+const HISTORY_PARAMS = ['ph', 'phhr', 'nh3', 'no2', 'no3'];
+
+const HISTORY_CSV_COLUMNS = [
+  'timestamp', 'time', 'deviceId', 'source', 'testType',
+  ...HISTORY_PARAMS,
+  'uncertainty', 'confidence', 'valid', 'warnings',
+  'raw_r', 'raw_g', 'raw_b', 'r', 'g', 'b'
+];
+
+class HistoryExchange {
+  constructor() {
+    this.format = 'freshcheck-history';
+    this.version = 1;
+  }
+
+  /**
+   * 저장용 필드만 추출 (내부 키 제외)
+   */
+  toPlain(record) {
+    return {
+      deviceId: record.deviceId,
+      timestamp: record.timestamp,
+      source: record.source,
+      testType: record.testType || null,
+      values: record.values,
+      uncertainty: record.uncertainty ?? null,
+      confidence: record.confidence ?? null,
+      valid: record.valid !== false,
+      quality: record.quality || null,
+      warnings: record.warnings || [],
+      rgb: record.rgb || null,
+      rawRgb: record.rawRgb || null,
+      hsv: record.hsv || null
+    };
+  }
+
+  toJSON(records) {
+    return JSON.stringify({
+      format: this.format,
+      version: this.version,
+      exportedAt: new Date().toISOString(),
+      records: records.map(record => this.toPlain(record))
+    }, null, 2);
+  }
+
+  toCSV(records) {
+    const rows = records.map(record => {
+      const v = record.values || {};
+      const raw = record.rawRgb || {};
+      const rgb = record.rgb || {};
+      const row = {
+        timestamp: record.timestamp,
+        time: record.timestamp >= 1e12 ? new Date(record.timestamp).toISOString() : '',
+        deviceId: record.deviceId,
+        source: record.source,
+        testType: record.testType || '',
+        uncertainty: record.uncertainty ?? '',
+        confidence: record.confidence ?? '',
+        valid: record.valid === false ? 0 : 1,
+        warnings: (record.warnings || []).join(' | '),
+        raw_r: raw.r ?? '', raw_g: raw.g ?? '', raw_b: raw.b ?? '',
+        r: rgb.r ?? '', g: rgb.g ?? '', b: rgb.b ?? ''
+      };
+      HISTORY_PARAMS.forEach(key => { row[key] = v[key] ?? ''; });
+
+      return HISTORY_CSV_COLUMNS.map(col => this.escapeCSV(row[col])).join(',');
+    });
+
+    return [HISTORY_CSV_COLUMNS.join(','), ...rows].join('\r\n');
+  }
+
+  escapeCSV(value) {
+    const s = String(value ?? '');
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  /**
+   * CSV 텍스트 → 행 배열 (따옴표/줄바꿈 처리)
+   */
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += ch;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows.filter(r => r.some(cell => cell !== ''));
+  }
+
+  /**
+   * 파일 내용 해석 + 스키마 검증
+   * @param {string} text - 파일 내용
+   * @param {string} filename - 확장자로 형식 판별
+   * @returns {Object} { records, errors }
+   */
+  parse(text, filename) {
+    const isJSON = /\.json$/i.test(filename) || text.trim().startsWith('{');
+    const raw = isJSON ? this.parseJSONRecords(text) : this.parseCSVRecords(text);
+
+    const records = [];
+    const errors = [];
+    raw.forEach((item, i) => {
+      try {
+        records.push(this.validate(item));
+      } catch (error) {
+        errors.push(`${i + 1}번째 기록: ${error.message}`);
+      }
+    });
+
+    return { records, errors };
+  }
+
+  parseJSONRecords(text) {
+    const data = JSON.parse(text);
+    if (data.format !== this.format || !Array.isArray(data.records)) {
+      throw new Error('FreshCheck 기록 파일이 아닙니다');
+    }
+    if (data.version > this.version) {
+      throw new Error(`지원하지 않는 버전 (v${data.version})`);
+    }
+    return data.records;
+  }
+
+  parseCSVRecords(text) {
+    const [header, ...rows] = this.parseCSV(text.replace(/^\uFEFF/, ''));
+    const missing = ['timestamp', 'deviceId', 'source'].filter(col => !header || !header.includes(col));
+    if (missing.length > 0) {
+      throw new Error(`CSV 열 누락: ${missing.join(', ')}`);
+    }
+
+    const num = s => (s === '' || s === undefined ? null : Number(s));
+    return rows.map(cells => {
+      const row = {};
+      header.forEach((col, i) => { row[col] = cells[i] ?? ''; });
+
+      const values = {};
+      HISTORY_PARAMS.forEach(key => {
+        if (row[key] !== '' && row[key] !== undefined) values[key] = num(row[key]);
+      });
+
+      return {
+        deviceId: row.deviceId,
+        timestamp: num(row.timestamp),
+        source: row.source,
+        testType: row.testType || null,
+        values,
+        uncertainty: num(row.uncertainty),
+        confidence: num(row.confidence),
+        valid: row.valid !== '0' && row.valid !== 'false',
+        warnings: row.warnings ? row.warnings.split(' | ') : [],
+        rgb: row.r !== '' && row.r !== undefined ? { r: num(row.r), g: num(row.g), b: num(row.b) } : null,
+        rawRgb: row.raw_r !== '' && row.raw_r !== undefined ? { r: num(row.raw_r), g: num(row.raw_g), b: num(row.raw_b) } : null
+      };
+    });
+  }
+
+  /**
+   * 기록 한 건 검증 → 정규화된 기록
+   */
+  validate(item) {
+    if (!item || typeof item !== 'object') throw new Error('형식 오류');
+    if (typeof item.deviceId !== 'string' || !item.deviceId) throw new Error('deviceId 없음');
+    if (!Number.isFinite(item.timestamp) || item.timestamp <= 0) throw new Error('timestamp 오류');
+    if (!['web', 'device'].includes(item.source)) throw new Error(`알 수 없는 source: ${item.source}`);
+    if (item.testType && !TEST_INFO[item.testType]) {
+      throw new Error(`알 수 없는 testType: ${item.testType}`);
+    }
+
+    const values = {};
+    for (const key of HISTORY_PARAMS) {
+      const v = item.values ? item.values[key] : null;
+      if (v === null || v === undefined) continue;
+      if (!Number.isFinite(v)) throw new Error(`${key} 값 오류`);
+      values[key] = v;
+    }
+    if (Object.keys(values).length === 0) throw new Error('측정값 없음');
+    if (item.testType && values[TEST_INFO[item.testType].param] === undefined) {
+      throw new Error(`${item.testType} 값 없음`);
+    }
+
+    const isRGB = c => c && ['r', 'g', 'b'].every(k => Number.isInteger(c[k]) && c[k] >= 0 && c[k] <= 255);
+    if (item.rgb && !isRGB(item.rgb)) throw new Error('rgb 오류');
+    if (item.rawRgb && !isRGB(item.rawRgb)) throw new Error('rawRgb 오류');
+
+    return {
+      ...this.toPlain(item),
+      values,
+      uncertainty: Number.isFinite(item.uncertainty) && item.uncertainty >= 0 ? item.uncertainty : null,
+      confidence: Number.isFinite(item.confidence) ? item.confidence : null,
+      warnings: Array.isArray(item.warnings) ? item.warnings.filter(w => typeof w === 'string') : []
+    };
+  }
+}
+
+// =========================================================================
+// 📈 추이 차트 - 순수 Canvas (AP 모드 오프라인에서도 동작)
+// =========================================================================
+
+// 차트 항목별 기본 축 범위 (데이터가 벗어나면 확장)
+const TREND_PARAMS = [
+  { key: 'ph',  label: 'pH',  min: 6.0, max: 8.0, digits: 1 },
+  { key: 'phhr', label: 'pH HR', min: 7.4, max: 8.8, digits: 1 },
+  { key: 'nh3', label: 'NH3', min: 0,   max: 2.0, digits: 2 },
+  { key: 'no2', label: 'NO2', min: 0,   max: 2.0, digits: 2 },
+  { key: 'no3', label: 'NO3', min: 0,   max: 80,  digits: 1 },
+];
+
+// 확대 범위
+const TREND_RANGES = {
+  '24h': 24 * 3600000,
+  '7d': 7 * 24 * 3600000,
+  '30d': 30 * 24 * 3600000,
+  'all': Infinity
+};
+
+const TREND_BAND_COLORS = {
+  ok: 'rgba(34, 197, 94, 0.10)',
+  warning: 'rgba(245, 158, 11, 0.14)',
+  danger: 'rgba(239, 68, 68, 0.14)'
+};
+
+class TrendChart {
+  constructor(canvas, param, analyzer) {
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.param = param;
+    this.analyzer = analyzer;
+    this.points = [];
+    this.from = 0;
+    this.to = Date.now();
+    this.selected = null;
+    this.padding = { left: 36, right: 8, top: 8, bottom: 18 };
+  }
+
+  /**
+   * 데이터 설정 후 다시 그리기
+   * @param {Array<Object>} points - { t, v, source, confidence }
+   */
+  setData(points, from, to) {
+    this.points = points;
+    this.from = from;
+    this.to = to;
+    this.selected = null;
+    this.draw();
+  }
+
+  /**
+   * 값 축 범위 (기본 범위 + 데이터)
+   */
+  getValueRange() {
+    let min = this.param.min;
+    let max = this.param.max;
+    for (const p of this.points) {
+      min = Math.min(min, p.v);
+      max = Math.max(max, p.v * 1.1);
+    }
+    return { min, max };
+  }
+
+  /**
+   * interpret() 결과로 위험/주의/정상 구간 계산
+   */
+  computeBands(min, max) {
+    const bands = [];
+    const steps = 200;
+
+    for (let i = 0; i <= steps; i++) {
+      const v = min + (max - min) * (i / steps);
+      const { status } = this.analyzer.interpret(this.param.key, v);
+      if (!TREND_BAND_COLORS[status]) continue;
+
+      const last = bands[bands.length - 1];
+      if (last && last.status === status && last.i === i - 1) {
+        last.to = v;
+        last.i = i;
+      } else {
+        bands.push({ status, from: v, to: v, i });
+      }
+    }
+    return bands;
+  }
+
+  draw() {
+    const dpr = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    this.canvas.width = width * dpr;
+    this.canvas.height = height * dpr;
+
+    const ctx = this.ctx;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const { left, right, top, bottom } = this.padding;
+    const plotW = width - left - right;
+    const plotH = height - top - bottom;
+    const { min, max } = this.getValueRange();
+
+    this.scaleX = t => left + ((t - this.from) / Math.max(this.to - this.from, 1)) * plotW;
+    this.scaleY = v => top + plotH - ((v - min) / (max - min)) * plotH;
+
+    // 상태 구간
+    for (const band of this.computeBands(min, max)) {
+      const y1 = this.scaleY(band.to);
+      const y2 = this.scaleY(band.from);
+      ctx.fillStyle = TREND_BAND_COLORS[band.status];
+      ctx.fillRect(left, y1, plotW, Math.max(y2 - y1, 1));
+    }
+
+    // 축 라벨
+    ctx.fillStyle = '#666666';
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    [min, (min + max) / 2, max].forEach(v => {
+      ctx.fillText(v.toFixed(this.param.digits), left - 4, this.scaleY(v));
+    });
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let i = 0; i <= 3; i++) {
+      const t = this.from + ((this.to - this.from) * i) / 3;
+      ctx.fillText(this.formatTick(t), left + (plotW * i) / 3, top + plotH + 4);
+    }
+
+    if (this.points.length === 0) {
+      ctx.fillText('데이터 없음', left + plotW / 2, top + plotH / 2 - 6);
+      return;
+    }
+
+    // 선 + 점
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    this.points.forEach((p, i) => {
+      const x = this.scaleX(p.t);
+      const y = this.scaleY(p.v);
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+
+    for (const p of this.points) {
+      const { status } = this.analyzer.interpret(this.param.key, p.v);
+      ctx.fillStyle = status === 'danger' ? '#ef4444' : status === 'warning' ? '#f59e0b' : '#22c55e';
+      ctx.beginPath();
+      ctx.arc(this.scaleX(p.t), this.scaleY(p.v), p === this.selected ? 5 : 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  formatTick(t) {
+    const d = new Date(t);
+    const hm = `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    if (this.to - this.from <= TREND_RANGES['24h']) return hm;
+    return `${d.getMonth() + 1}/${d.getDate()}`;
+  }
+
+  /**
+   * 탭 위치에서 가장 가까운 점 선택
+   * @returns {Object|null} 선택된 점
+   */
+  pick(offsetX) {
+    let best = null;
+    let bestDist = 20;  // px
+
+    for (const p of this.points) {
+      const dist = Math.abs(this.scaleX(p.t) - offsetX);
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = p;
+      }
+    }
+
+    this.selected = best;
+    this.draw();
+    return best;
+  }
+}
+
+// =========================================================================
+// 🌐 API 클라이언트 - 타임아웃 / 재시도 / 명령 직렬화 / 취소
+// =========================================================================
+
+const API_DEFAULTS = {
+  timeout: 8000,          // 조회 (GET)
+  commandTimeout: 15000,  // 명령 (POST 등)
+  captureTimeout: 10000,  // 촬영 이미지 (본문 수신까지)
+  retries: 2,             // GET 재시도 횟수
+  retryDelay: 500,        // 재시도 대기 (지수 증가)
+  maxRetryDelay: 4000
+};
+
+/**
+ * API 오류 기본 클래스 - endpoint / method / status 포함
+ */
+class ApiError extends Error {
+  constructor(message, { endpoint, method, status = null, cause = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.endpoint = endpoint;
+    this.method = method;
+    this.status = status;
+    this.cause = cause;
+  }
+}
+
+// 응답 시간 초과
+class ApiTimeoutError extends ApiError {
+  constructor(info) {
+    super('장치 응답 시간 초과', info);
+    this.name = 'ApiTimeoutError';
+  }
+}
+
+// 연결 실패 (네트워크 / CORS / 장치 꺼짐)
+class ApiNetworkError extends ApiError {
+  constructor(info) {
+    super('장치에 연결할 수 없음', info);
+    this.name = 'ApiNetworkError';
+  }
+}
+
+// HTTP 오류 응답 (장치 메시지가 있으면 사용)
+class ApiHttpError extends ApiError {
+  constructor(message, info) {
+    super(message || `HTTP ${info.status}`, info);
+    this.name = 'ApiHttpError';
+  }
+}
+
+// 호출 측 취소 (AbortController)
+class ApiAbortError extends ApiError {
+  constructor(info) {
+    super('요청 취소됨', info);
+    this.name = 'ApiAbortError';
+  }
+}
+
+class ApiClient {
+  /**
+   * @param {Function} getBaseUrl - () => 장치 주소 (예: http://freshcheck.local)
+   */
+  constructor(getBaseUrl) {
+    this.getBaseUrl = getBaseUrl;
+    this.queue = [];          // 대기 중인 명령 { run, resolve, reject, info }
+    this.commandActive = false;
+  }
+  
+  /**
+   * API 요청
+   * - GET: 바로 전송 (명령 실행 중에도 통과), 네트워크 / 시간 초과 / 5xx 시 재시도
+   * - 그 외: 명령 큐에서 한 번에 하나씩, 재시도 없음
+   * @param {string} endpoint - '/status' 등
+   * @param {Object} [options] - { method, body, timeout, retries, signal, queue, responseType }
+   *   queue: false 이면 명령도 큐를 건너뜀 (긴급 정지)
+   *   responseType: 'blob' 이면 본문을 Blob으로 (수신 완료까지 timeout 적용)
+   */
+  request(endpoint, { method = 'GET', body = null, timeout, retries, signal = null, queue, responseType } = {}) {
+    const isGet = method === 'GET';
+    const info = { endpoint, method };
+    const limit = timeout ?? (isGet ? API_DEFAULTS.timeout : API_DEFAULTS.commandTimeout);
+    const send = () => this.send(endpoint, method, body, limit, signal, responseType);
+    
+    if (isGet) return this.withRetry(send, retries ?? API_DEFAULTS.retries, signal, info);
+    if (queue === false) return send();
+    return this.enqueue(send, signal, info);
+  }
+  
+  get(endpoint, options = {}) {
+    return this.request(endpoint, { ...options, method: 'GET' });
+  }
+  
+  post(endpoint, body = null, options = {}) {
+    return this.request(endpoint, { ...options, method: 'POST', body });
+  }
+  
+  /**
+   * 대기 중인 명령 모두 취소 (실행 중인 명령은 유지)
+   */
+  clearQueue() {
+    const pending = this.queue.splice(0);
+    pending.forEach(item => item.reject(new ApiAbortError(item.info)));
+  }
+  
+  get pendingCommands() {
+    return this.queue.length + (this.commandActive ? 1 : 0);
+  }
+  
+  // ---------- 내부 ----------
+  
+  enqueue(run, signal, info) {
+    if (signal && signal.aborted) return Promise.reject(new ApiAbortError(info));
+    
+    return new Promise((resolve, reject) => {
+      const item = { run, resolve, reject, info };
+      this.queue.push(item);
+      
+      // 대기 중 취소되면 큐에서 제거
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          const idx = this.queue.indexOf(item);
+          if (idx >= 0) {
+            this.queue.splice(idx, 1);
+            reject(new ApiAbortError(info));
+          }
+        }, { once: true });
+      }
+      
+      this.drainQueue();
+    });
+  }
+  
+  async drainQueue() {
+    if (this.commandActive) return;
+    
+    this.commandActive = true;
+    while (this.queue.length > 0) {
+      const item = this.queue.shift();
+      try {
+        item.resolve(await item.run());
+      } catch (error) {
+        item.reject(error);
+      }
+    }
+    this.commandActive = false;
+  }
+  
+  async withRetry(send, retries, signal, info) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await send();
+      } catch (error) {
+        if (attempt >= retries || !this.isRetryable(error)) throw error;
+        
+        const delay = Math.min(API_DEFAULTS.retryDelay * 2 ** attempt, API_DEFAULTS.maxRetryDelay);
+        await this.sleep(delay * (0.75 + Math.random() * 0.5), signal, info);
+      }
+    }
+  }
+  
+  isRetryable(error) {
+    if (error instanceof ApiTimeoutError || error instanceof ApiNetworkError) return true;
+    return error instanceof ApiHttpError && (error.status >= 500 || error.status === 429);
+  }
+  
+  sleep(ms, signal, info) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new ApiAbortError(info));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+  
+  /**
+   * 단일 요청 (타임아웃 + 외부 signal 연동)
+   * @returns {Promise<Object|Blob|Response>} JSON 응답이면 파싱 결과, responseType 'blob'이면 Blob, 아니면 Response
+   */
+  async send(endpoint, method, body, timeout, signal, responseType) {
+    const info = { endpoint, method };
+    if (signal && signal.aborted) throw new ApiAbortError(info);
+    
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    
+    const options = {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      mode: 'cors',
+      signal: controller.signal
+    };
+    if (body) options.body = JSON.stringify(body);
+    
+    try {
+      const response = await fetch(`${this.getBaseUrl()}/api${endpoint}`, options);
+      const contentType = response.headers.get('content-type') || '';
+      
+      if (!response.ok) {
+        // 장치 오류 메시지 ({ message } 또는 { error }) 사용
+        let message = null;
+        try {
+          const data = contentType.includes('application/json') ? await response.json() : null;
+          message = data && (data.message || data.error);
+        } catch (e) {
+          message = null;
+        }
+        throw new ApiHttpError(message, { ...info, status: response.status });
+      }
+      
+      if (responseType === 'blob') {
+        return await response.blob();
+      }
+      if (contentType.includes('application/json')) {
+        return await response.json();
+      }
+      return response;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (timedOut) throw new ApiTimeoutError({ ...info, cause: error });
+      if (signal && signal.aborted) throw new ApiAbortError({ ...info, cause: error });
+      throw new ApiNetworkError({ ...info, cause: error });
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+// =========================================================================
+// 📡 상태 수신 - WebSocket / SSE 스트림, 없으면 적응형 폴링
+// =========================================================================
+
+// 장치 기능 → 상태 스트림 (system.features로 광고)
+const STATUS_STREAMS = {
+  'status-ws':  { type: 'ws',  path: '/ws' },
+  'status-sse': { type: 'sse', path: '/api/events' },
+};
+
+// 폴링 간격 (ms)
+const STATUS_POLL_INTERVALS = {
+  busy: 1000,    // 작업 중: 짧은 상태 전환도 놓치지 않도록
+  idle: 5000,    // 대기 중
+  error: 3000,   // 연결 끊김 (재연결 시도)
+  kick: 300      // 명령 직후 즉시 확인
+};
+
+// 스트림 재연결 대기 (지수 증가) / 무응답 판정 (WebSocket만)
+const STATUS_STREAM_RETRY = { initial: 2000, max: 60000 };
+const STATUS_STREAM_TIMEOUT = 15000;
+
+class StatusTransport {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetchStatus - () => Promise<status> (폴링)
+   * @param {Function} options.onStatus - (status) => void
+   * @param {Function} options.onConnection - (connected, mode) => void
+   * @param {Function} options.isBusy - (status) => boolean
+   * @param {Function} [options.keepAwake] - () => boolean, 탭이 숨겨져도 폴링 유지
+   */
+  constructor({ fetchStatus, onStatus, onConnection, isBusy, keepAwake = () => false }) {
+    this.fetchStatus = fetchStatus;
+    this.onStatus = onStatus;
+    this.onConnection = onConnection;
+    this.isBusy = isBusy;
+    this.keepAwake = keepAwake;
+    
+    this.stream = null;       // { type, url }
+    this.socket = null;       // WebSocket | EventSource
+    this.mode = 'poll';       // 'poll' | 'ws' | 'sse'
+    this.running = false;
+    this.lastStatus = null;
+    this.connected = false;
+    
+    this.pollTimer = null;
+    this.polling = false;
+    this.retryTimer = null;
+    this.retryDelay = STATUS_STREAM_RETRY.initial;
+    this.watchdog = null;
+    
+    document.addEventListener('visibilitychange', () => this.onVisibilityChange());
+  }
+  
+  start() {
+    this.running = true;
+    if (this.stream) this.connectStream();
+    this.poll();
+  }
+  
+  stop() {
+    this.running = false;
+    this.closeStream();
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.retryTimer);
+    this.pollTimer = null;
+  }
+  
+  /**
+   * 상태 스트림 설정 (null: 폴링만 사용)
+   */
+  setStream(stream) {
+    const same = this.stream && stream && this.stream.type === stream.type && this.stream.url === stream.url;
+    if (same || (!this.stream && !stream)) return;
+    
+    this.closeStream();
+    this.stream = stream;
+    this.retryDelay = STATUS_STREAM_RETRY.initial;
+    if (this.running && stream) this.connectStream();
+  }
+  
+  /**
+   * 명령 직후 상태 확인 앞당기기 (폴링 모드)
+   */
+  kick() {
+    if (!this.running || this.mode !== 'poll') return;
+    this.schedulePoll(STATUS_POLL_INTERVALS.kick);
+  }
+  
+  // ---------- 폴링 ----------
+  
+  async poll() {
+    if (!this.running || this.mode !== 'poll' || this.polling) return;
+    
+    this.polling = true;
+    try {
+      const status = await this.fetchStatus();
+      this.handleStatus(status);
+    } catch (error) {
+      this.setConnected(false);
+    } finally {
+      this.polling = false;
+    }
+    
+    this.schedulePoll();
+  }
+  
+  schedulePoll(delay = this.pollDelay()) {
+    clearTimeout(this.pollTimer);
+    this.pollTimer = null;
+    if (!this.running || this.mode !== 'poll' || delay === null) return;
+    
+    this.pollTimer = setTimeout(() => this.poll(), delay);
+  }
+  
+  /**
+   * 다음 폴링 간격 (탭이 숨겨졌으면 null = 일시 정지)
+   */
+  pollDelay() {
+    if (document.hidden && !this.keepAwake()) return null;
+    if (!this.connected) return STATUS_POLL_INTERVALS.error;
+    return this.lastStatus && this.isBusy(this.lastStatus)
+      ? STATUS_POLL_INTERVALS.busy
+      : STATUS_POLL_INTERVALS.idle;
+  }
+  
+  onVisibilityChange() {
+    if (!this.running || this.mode !== 'poll') return;
+    
+    if (document.hidden) {
+      if (this.pollDelay() === null) {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+      }
+    } else {
+      this.poll();  // 복귀 즉시 갱신
+    }
+  }
+  
+  // ---------- 스트림 ----------
+  
+  connectStream() {
+    if (!this.stream || this.socket) return;
+    const { type, url } = this.stream;
+    
+    try {
+      const socket = type === 'ws' ? new WebSocket(url) : new EventSource(url);
+      const onMessage = (event) => {
+        try {
+          this.handleStatus(JSON.parse(event.data));
+          this.resetWatchdog();
+        } catch (e) {
+          console.warn('[StatusTransport] Invalid message:', event.data);
+        }
+      };
+      const onOpen = () => {
+        this.mode = type;
+        this.retryDelay = STATUS_STREAM_RETRY.initial;
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+        this.resetWatchdog();
+        console.log(`[StatusTransport] ${type.toUpperCase()} connected: ${url}`);
+      };
+      
+      socket.onopen = onOpen;
+      socket.onmessage = onMessage;
+      if (type === 'sse') socket.addEventListener('status', onMessage);
+      socket.onerror = () => this.streamFailed();
+      if (type === 'ws') socket.onclose = () => this.streamFailed();
+      
+      this.socket = socket;
+    } catch (error) {
+      this.streamFailed();
+    }
+  }
+  
+  closeStream() {
+    clearTimeout(this.watchdog);
+    this.watchdog = null;
+    if (!this.socket) return;
+    
+    const socket = this.socket;
+    this.socket = null;
+    socket.onopen = socket.onmessage = socket.onerror = null;
+    if ('onclose' in socket) socket.onclose = null;
+    socket.close();
+  }
+  
+  /**
+   * 스트림 끊김 / 무응답 → 폴링 복귀 + 재연결 예약
+   */
+  streamFailed() {
+    const wasStreaming = this.mode !== 'poll';
+    this.closeStream();
+    this.mode = 'poll';
+    if (!this.running) return;
+    
+    if (wasStreaming) console.warn('[StatusTransport] Stream lost, falling back to polling');
+    this.poll();
+    
+    clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => this.connectStream(), this.retryDelay);
+    this.retryDelay = Math.min(this.retryDelay * 2, STATUS_STREAM_RETRY.max);
+  }
+  
+  resetWatchdog() {
+    clearTimeout(this.watchdog);
+    this.watchdog = null;
+    // SSE heartbeat는 주석 줄이라 EventSource에 보이지 않음 → 끊김은 onerror로만 판정
+    if (this.mode !== 'ws') return;
+    this.watchdog = setTimeout(() => this.streamFailed(), STATUS_STREAM_TIMEOUT);
+  }
+  
+  // ---------- 공통 ----------
+  
+  handleStatus(status) {
+    this.lastStatus = status;
+    this.onStatus(status);
+    this.setConnected(true);
+  }
+  
+  setConnected(connected) {
+    this.connected = connected;
+    this.onConnection(connected, this.mode);
+  }
+}
+
+// =========================================================================
+// 🐟 메인 애플리케이션
+// =========================================================================
+
+// 테스트별 표시 정보 (param: 기록/측정값 항목, card: 측정값 카드가 param과 다를 때)
+const TEST_INFO = {
+  ph:   { label: 'pH',     name: 'pH',       unit: '',    digits: 1, param: 'ph' },
+  phhr: { label: 'pH(HR)', name: 'pH 고범위', unit: '',    digits: 1, param: 'phhr', card: 'ph' },
+  nh3:  { label: 'NH3',    name: '암모니아',   unit: 'ppm', digits: 2, param: 'nh3' },
+  no2:  { label: 'NO2',    name: '아질산',    unit: 'ppm', digits: 2, param: 'no2' },
+  no3:  { label: 'NO3',    name: '질산',     unit: 'ppm', digits: 1, param: 'no3' },
+};
+
+// 전체 측정 순서 (NH3는 채널 2 → 3, NO3는 5 → 6 연계)
+// feature: 장치가 /api/system features로 지원을 알려야 포함
+const MEASURE_SEQUENCE = [
+  { key: 'ph',  label: 'pH',  channels: [1] },
+  { key: 'nh3', label: 'NH3', channels: [2, 3] },
+  { key: 'no2', label: 'NO2', channels: [4] },
+  { key: 'no3', label: 'NO3', channels: [5, 6], feature: 'no3' },
+];
+
+// 전체 측정: 자동 분석 (촬영 + 분석) 결과 최대 대기 시간, 넘으면 장치 값 사용
+const AUTO_ANALYSIS_WAIT = 60000;
+
+// 일반 pH 포화 시 추가되는 고범위 pH 단계
+// 펌프/채널 7은 펌웨어 확정 전 - /api/system이 features 'phhr'과 channels.phhr = 7을 함께 알려야 사용
+const HIGH_RANGE_PH_STEP = { key: 'phhr', label: 'pH HR', channels: [7], feature: 'phhr' };
+
+// 채널 → 색상 분석 테스트 종류
+const CHANNEL_TEST_TYPES = { 1: 'ph', 2: 'nh3', 3: 'nh3', 4: 'no2', 5: 'no3', 6: 'no3', 7: 'phhr' };
+
+// 전체 프라이밍: 펌프 하나의 최대 대기 시간
+const PRIME_STEP_TIMEOUT = 3 * 60000;
+
+// 채널 이름 (상태 표시용)
+const CHANNEL_NAMES = ['', 'pH', 'NH3#1', 'NH3#2', 'NO2', 'NO3#1', 'NO3#2', 'pH HR'];
+
+// 시퀀스 단계 상태 표시
+const STEP_STATUS_TEXT = {
+  pending: '대기',
+  running: '진행 중',
+  done: '완료',
+  failed: '실패',
+  cancelled: '취소',
+  skipped: '건너뜀'
+};
+
+class AutoFreshCheck {
+  constructor() {
+    // v6.0: 자동 API URL 탐지
+    // 1. localStorage에 저장된 URL
+    // 2. mDNS (freshcheck.local)
+    // 3. AP 모드 기본값 (192.168.4.1)
+    this.apiUrl = localStorage.getItem('apiUrl') || '';
+    this.apiClient = new ApiClient(() => this.apiUrl);
+    this.connected = false;
+    this.currentTab = 'measure';
+    this.primeMode = 'smart';  // 'smart' or 'blind'
+    
+    // 시스템 정보 (v6.0)
+    this.systemInfo = null;
+    this.wifiMode = 'unknown';
+    this.features = [];
+    
+    // 🎨 색상 분석기
+    this.colorAnalyzer = new ColorAnalyzer();
+    this.colorAnalyzer.distanceMetric = localStorage.getItem('colorMetric') || 'hsv';
+    this.lastAnalysis = null;
+    
+    // 🎨 색상 테이블 프로필
+    this.colorProfiles = new ColorProfileStore();
+    this.tableEditor = { testType: 'ph', profile: '', rows: [] };
+    
+    // 🧪 표준액 보정
+    this.calibration = new CalibrationStore();
+    this.pendingCalibration = null;
+    this.applyColorProfiles();
+    
+    // 🧴 시약 재고 (펌프별 steps/ml은 /api/calibration에서)
+    this.reagentInventory = new ReagentInventory();
+    this.reagentSteps = [];
+    
+    // 🧵 튜브 구성 (블라인드 프라이밍 부피)
+    this.tubeStore = new TubeStore();
+    
+    // 🔬 광센서 임계값 (장치 /api/calibration opticalThresholds)
+    this.opticalThresholds = [];
+    this.opticalLiquid = [];        // 센서별 마지막 판정 (히스테리시스)
+    this.opticalCalibration = null; // 보정 마법사 진행 중
+    
+    // 📈 스마트 프라이밍 광센서 그래프 / 프라이밍 시간 기록
+    this.opticalTrace = null;
+    this.opticalTraceChart = null;
+    this.primeLog = new PrimeLog();
+    
+    // 🎯 샘플 / 기준 ROI (장치별)
+    this.roiStore = new RoiStore();
+    this.roiEdit = null;  // { kind, origin, rect } - 드래그 중인 영역
+    this.roiMode = localStorage.getItem('roiMode') || 'manual';  // 'manual' | 'auto'
+    this.detectedRoi = null;  // 최근 분석의 자동 감지 / 대체 영역
+    
+    // 📷 연속 촬영: 프레임 수 (1 = 단일 촬영), 간격 (0 허용), 합성 방식
+    const burstInterval = parseInt(localStorage.getItem('burstInterval'));
+    this.burst = {
+      frames: parseInt(localStorage.getItem('burstFrames')) || 1,
+      interval: Number.isFinite(burstInterval) ? burstInterval : 300,
+      method: localStorage.getItem('burstMethod') || 'median'
+    };
+    this.lastBurst = null;  // { used, rejected, spread }
+    this.captureObjectUrl = null;  // 표시 중인 촬영 이미지 (blob: URL)
+    
+    // 🎨 기준점 보정 방식: 'white' (흰색 스티커) | 'card' (색상 카드)
+    this.referenceMode = localStorage.getItem('referenceMode') || 'white';
+    
+    // 📷 촬영 품질 한계
+    this.colorAnalyzer.qualityLimits = this.loadQualityLimits();
+
+    // 📡 최근 장치 상태 / 상태 수신마다 호출되는 대기자 (시퀀서용)
+    this.lastStatus = null;
+    this.statusWaiters = new Set();
+
+    // 🧪 전체 측정 시퀀스
+    this.sequence = null;
+    this.nitrateShakeResolve = null;  // 질산염 흔들기 확인 대기 중이면 응답 함수
+    
+    // 💧 전체 프라이밍 시퀀스
+    this.primeSequence = null;
+
+    // 🎨 교반 완료 시 자동 촬영 + 분석
+    this.autoAnalyze = localStorage.getItem('autoAnalyze') !== 'false';
+    this.autoAnalysisTask = null;
+
+    // 🧪 일반 pH 포화 시 고범위 pH: 'ask' | 'auto' | 'off'
+    this.highRangePhMode = localStorage.getItem('highRangePhMode') || 'ask';
+
+    // 📚 로컬 측정 기록 (IndexedDB)
+    this.historyStore = new HistoryStore();
+    this.historyExchange = new HistoryExchange();
+    this.deviceId = localStorage.getItem('deviceId') || '';
+    this.historyFilter = { testType: 'all', source: 'all' };
+    this.historyPage = 0;
+    this.historyPageSize = 20;
+    
+    // 📈 추이 차트
+    this.historyView = 'list';
+    this.trendRange = '24h';
+    this.trendCharts = null;
+
+    this.init();
+  }
+
+  async init() {
+    this.bindEvents();
+    this.loadSettings();
+    this.loadTableEditor('ph');
+    this.renderCalibration();
+    
+    // v6.0: 자동 API URL 탐지
+    if (!this.apiUrl) {
+      this.showMessage('장치 연결 중...', 'info');
+      await this.autoDetectDevice();
+    }
+    
+    this.startStatusTransport();
+    this.updateApiUrlDisplay();
+    
+    // v6.0: 시스템 정보 로드
+    this.loadSystemInfo();
+  }
+  
+  // v6.0: 자동 장치 탐지
+  async autoDetectDevice() {
+    const candidates = [
+      'http://freshcheck.local',       // mDNS (STA 모드)
+      'http://192.168.4.1',            // AP 모드 기본값
+      window.location.origin,          // 같은 서버
+    ];
+    
+    for (const url of candidates) {
+      try {
+        console.log(`[AutoDetect] Trying ${url}...`);
+        const response = await fetch(`${url}/api/status`, { 
+          method: 'GET',
+          mode: 'cors',
+          signal: AbortSignal.timeout(3000)  // 3초 타임아웃
+        });
+        
+        if (response.ok) {
+          this.apiUrl = url;
+          localStorage.setItem('apiUrl', url);
+          console.log(`[AutoDetect] ✓ Found device at ${url}`);
+          this.showMessage(`장치 연결됨: ${url}`, 'success');
+          return;
+        }
+      } catch (e) {
+        console.log(`[AutoDetect] ✗ ${url} failed`);
+      }
+    }
+    
+    // 탐지 실패 시 AP 모드 기본값 사용
+    this.apiUrl = 'http://192.168.4.1';
+    this.showMessage('장치를 찾을 수 없음. AP 모드(192.168.4.1)로 시도합니다.', 'warning');
+  }
+  
+  // v6.0: 시스템 정보 로드
+  async loadSystemInfo() {
+    try {
+      const [system, wifi] = await Promise.all([
+        this.api('/system'),
         this.api('/wifi')
       ]);
       
-      this.systemInfo = system;
-      this.wifiMode = wifi.mode;
+      this.systemInfo = system;
+      this.wifiMode = wifi.mode;
+      
+      // 장치 지원 기능 (예: 'no3')
+      this.features = Array.isArray(system.features) ? system.features : [];
+      if (!this.hasHighRangePhChannel(system)) {
+        this.features = this.features.filter(f => f !== HIGH_RANGE_PH_STEP.feature);
+      }
+      this.applyFeatureSupport();
+      this.statusTransport.setStream(this.getStatusStream());
+      
+      // 기록 키용 장치 식별자 (MAC/칩 ID 우선)
+      const deviceId = system.mac || system.chipId || wifi.mac;
+      if (deviceId && deviceId !== this.deviceId) await this.setDeviceId(deviceId);
+      
+      // 푸터에 시스템 정보 표시
+      const footer = document.querySelector('.footer-info');
+      if (footer) {
+        footer.innerHTML = `v${system.version} | ${wifi.mode} | ${wifi.ip || wifi.ap_ip}`;
+      }
+    } catch (e) {
+      console.warn('[SystemInfo] Failed to load:', e);
+    }
+    
+    // 장치 설정 (steps/ml, 광센서 기준값) - apiUrl이 정해진 뒤에 로드
+    await this.loadServerConfig();
+  }
+
+  /**
+   * 장치 식별자 확정 후 장치별 설정 / 기록 다시 표시
+   * 식별 전 (주소 host 키)에 저장된 기록은 장치 ID로 이전
+   */
+  async setDeviceId(deviceId) {
+    const provisional = this.deviceId ? null : this.getDeviceId();
+    this.deviceId = deviceId;
+    localStorage.setItem('deviceId', deviceId);
+    
+    if (provisional && provisional !== deviceId) {
+      [this.roiStore, this.reagentInventory, this.tubeStore, this.primeLog]
+        .forEach(store => store.rekey(provisional, deviceId));
+      try {
+        await this.historyStore.reassignDevice(provisional, deviceId);
+      } catch (error) {
+        console.error('History reassign failed:', error);
+      }
+    }
+    
+    this.drawRoiOverlay();
+    this.loadReagentDoses();
+    this.renderReagents();
+    this.renderPrimeLog();
+    this.renderTubeSettings();
+    this.renderHistory();
+  }
+
+  hasFeature(feature) {
+    return this.features.includes(feature);
+  }
+
+  /**
+   * 고범위 pH 채널 확인 - 기능 이름만으로는 사용하지 않고 채널 번호까지 일치해야 함
+   */
+  hasHighRangePhChannel(system) {
+    const channels = system.channels || {};
+    return channels[HIGH_RANGE_PH_STEP.key] === HIGH_RANGE_PH_STEP.channels[0];
+  }
+
+  /**
+   * 장치 지원 기능에 맞춰 UI 표시 (NO3 Phase2 등)
+   */
+  applyFeatureSupport() {
+    const no3 = this.hasFeature('no3');
+    
+    document.getElementById('no3-item').classList.toggle('phase2-pending', !no3);
+    document.getElementById('no3-unit').textContent = no3 ? 'ppm' : 'Phase2';
+    if (no3 && document.getElementById('val-no3').textContent === '⏳') {
+      document.getElementById('val-no3').textContent = '--';
+    }
+    
+    document.querySelectorAll('[data-feature]').forEach(el => {
+      const supported = this.hasFeature(el.dataset.feature);
+      el.hidden = !supported;
+      if (el.tagName === 'OPTION') el.disabled = !supported;
+    });
+    
+    this.renderReagents();
+    this.renderOpticalHealth();
+    this.renderTubeSettings();
+    this.renderHistory();
+  }
+
+  /**
+   * 사용 중인 시약 펌프 번호
+   */
+  getReagentPumps() {
+    const pumps = [1, 2, 3, 4];
+    if (this.hasFeature('no3')) pumps.push(5, 6);
+    if (this.hasFeature('phhr')) pumps.push(7);
+    return pumps;
+  }
+
+  /**
+   * 질산염 #2 시약병 흔들기 확인
+   * API NO3 #2 시약은 침전되므로 사용 전 30초 이상 세게 흔들어야 함
+   * @returns {Promise<boolean>} 흔든 후 측정 시작을 눌렀는지
+   */
+  confirmNitrateShake() {
+    const prompt = document.getElementById('nitrate-shake-prompt');
+    if (this.nitrateShakeResolve) this.nitrateShakeResolve(false);  // 이전 요청은 취소로 대체
+    
+    // 측정 탭 안내로 묻고 응답까지 대기 (전체 측정 진행 중에도 화면을 막지 않음)
+    prompt.hidden = false;
+    return new Promise(resolve => {
+      this.nitrateShakeResolve = (shaken) => {
+        this.nitrateShakeResolve = null;
+        prompt.hidden = true;
+        resolve(shaken);
+      };
+    });
+  }
+
+  // ========== API Communication ==========
+  
+  /**
+   * API 호출 (ApiClient 위임)
+   * @param {Object} [options] - { timeout, retries, signal, queue } (ApiClient.request 참고)
+   * @throws {ApiError} ApiTimeoutError / ApiNetworkError / ApiHttpError / ApiAbortError
+   */
+  async api(endpoint, method = 'GET', body = null, options = {}) {
+    try {
+      const result = await this.apiClient.request(endpoint, { ...options, method, body });
+      if (method !== 'GET' && this.statusTransport) this.statusTransport.kick();
+      return result;
+    } catch (error) {
+      if (!(error instanceof ApiAbortError)) console.error(`API Error [${endpoint}]:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 오류 종류별 사용자 메시지
+   */
+  describeError(error, action) {
+    if (error instanceof ApiTimeoutError) return `${action} - 장치 응답 없음 (시간 초과)`;
+    if (error instanceof ApiNetworkError) return `${action} - 장치 연결 끊김`;
+    if (error instanceof ApiAbortError) return `${action} - 취소됨`;
+    if (error instanceof ApiHttpError) {
+      return error.status === 409 ? `${action} - 장치 작업 중` : `${action} - ${error.message}`;
+    }
+    return action;
+  }
+
+  // ========== Polling ==========
+  
+  startStatusTransport() {
+    this.statusTransport = new StatusTransport({
+      // 폴링은 다음 주기가 재시도 역할 → 즉시 실패 처리
+      fetchStatus: () => this.api('/status', 'GET', null, { retries: 0, timeout: 4000 }),
+      onStatus: (status) => this.updateStatus(status),
+      onConnection: (connected, mode) => this.setConnected(connected, mode),
+      isBusy: (status) => this.isBusyState(status.state),
+      // 장치 작업 / 시퀀스 / 자동 분석 중에는 탭이 숨겨져도 상태 수신 유지 (READY 전환 → 자동 분석)
+      keepAwake: () => !!((this.lastStatus && this.isBusyState(this.lastStatus.state))
+        || (this.sequence && this.sequence.running)
+        || (this.primeSequence && this.primeSequence.running)
+        || this.autoAnalysisTask)
+    });
+    this.statusTransport.setStream(this.getStatusStream());
+    this.statusTransport.start();
+  }
+
+  /**
+   * 장치가 광고한 상태 스트림 (WebSocket 우선)
+   */
+  getStatusStream() {
+    const feature = ['status-ws', 'status-sse'].find(f => this.hasFeature(f));
+    if (!feature) return null;
+    
+    const { type, path } = STATUS_STREAMS[feature];
+    const base = type === 'ws' ? this.apiUrl.replace(/^http/, 'ws') : this.apiUrl;
+    return { type, url: `${base}${path}` };
+  }
+
+  setConnected(connected, mode = 'poll') {
+    this.connected = connected;
+    const el = document.getElementById('connection-status');
+    el.className = 'connection-status ' + (connected ? 'connected' : 'error');
+    el.querySelector('.status-text').textContent = connected
+      ? (mode === 'poll' ? '연결됨' : '연결됨 (실시간)')
+      : '연결 끊김';
+  }
+
+  // ========== Status Updates ==========
+  
+  updateStatus(data) {
+    const prev = this.lastStatus;
+    this.lastStatus = data;
+    this.statusWaiters.forEach(waiter => waiter(data));
+
+    // 교반 종료(MIXING → READY) 감지 시 자동 분석
+    if (this.autoAnalyze && prev && prev.state === 'MIXING' && data.state === 'READY') {
+      this.autoAnalyzeChannel(data.channel || prev.channel);
+    }
+
+    // 상태
+    document.getElementById('current-state').textContent = data.state;
+    
+    // 채널
+    const channelEl = document.getElementById('current-channel');
+    if (data.channel > 0) {
+      channelEl.textContent = `채널 ${data.channel} (${CHANNEL_NAMES[data.channel] || '?'})`;
+    } else {
+      channelEl.textContent = '';
+    }
+    
+    // 타이머
+    const timerCard = document.getElementById('timer-card');
+    if (data.state === 'MIXING' && data.remaining > 0) {
+      timerCard.style.display = 'block';
+      const min = Math.floor(data.remaining / 60);
+      const sec = data.remaining % 60;
+      document.getElementById('timer-value').textContent = 
+        `${String(min).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+    } else {
+      timerCard.style.display = 'none';
+    }
+    
+    // 측정값 (담수용: pH, NH3, NO2, NO3)
+    if (data.ph > 0) document.getElementById('val-ph').textContent = data.ph.toFixed(1);
+    if (data.nh3 >= 0) document.getElementById('val-nh3').textContent = data.nh3.toFixed(2);
+    if (data.no2 >= 0) document.getElementById('val-no2').textContent = data.no2.toFixed(2);
+    if (data.no3 >= 0) document.getElementById('val-no3').textContent = data.no3.toFixed(1);
+    
+    // 버튼 상태 (바쁜 상태면 비활성화)
+    const busy = this.isBusyState(data.state);
+    document.querySelectorAll('.measure-btn, .prime-btn').forEach(btn => {
+      btn.disabled = busy;
+      btn.style.opacity = busy ? 0.5 : 1;
+    });
+
+    // 전체 측정 / 프라이밍 진행 표시 갱신
+    if (this.sequence && this.sequence.running) {
+      this.renderMeasureAll();
+    }
+    if (this.primeSequence && this.primeSequence.running) {
+      this.renderPrimeAll();
+    }
+  }
+
+  isBusyState(state) {
+    return !['IDLE', 'READY', 'ERROR'].includes(state);
+  }
+
+  /**
+   * 장치가 작업을 마치고 IDLE/READY로 돌아올 때까지 대기
+   * 대기 시작 이후 수신한 상태를 하나도 빠짐없이 판단 (짧은 작업 상태도 놓치지 않음)
+   * @param {Object} options - { startTimeout, timeout, requireBusy, isCancelled }
+   *   requireBusy: false면 작업 상태를 거치지 않은 IDLE/READY도 완료로 판단 (이미 끝난 명령)
+   * @returns {Promise<Object>} { result: 'done'|'cancelled'|'error'|'timeout', channels }
+   */
+  waitForDeviceIdle({ startTimeout = 15000, timeout = 30 * 60000, requireBusy = true, isCancelled = () => false } = {}) {
+    const start = Date.now();
+    const channels = new Set();
+    let sawBusy = false;
+
+    return new Promise(resolve => {
+      const finish = (result) => {
+        clearInterval(tick);
+        this.statusWaiters.delete(onStatus);
+        resolve({ result, channels });
+      };
+
+      const onStatus = (status) => {
+        if (this.isBusyState(status.state)) {
+          sawBusy = true;
+          if (status.channel > 0) channels.add(status.channel);
+        } else if (status.state === 'ERROR') {
+          finish('error');
+        } else if (sawBusy || !requireBusy) {
+          finish('done');
+        }
+      };
+
+      // 취소 / 시간 초과는 상태 수신과 별개로 확인
+      const tick = setInterval(() => {
+        const elapsed = Date.now() - start;
+        if (isCancelled()) finish('cancelled');
+        else if (elapsed > timeout) finish('timeout');
+        // 명령 후 한 번도 작업 상태로 바뀌지 않음
+        else if (requireBusy && !sawBusy && elapsed > startTimeout) finish('timeout');
+      }, 1000);
+
+      this.statusWaiters.add(onStatus);
+    });
+  }
+
+  // ========== Actions ==========
+  
+  async measure(channel) {
+    if (channel === 5 && !await this.confirmNitrateShake()) return;
+    
+    // 장치가 이어서 실행하는 연계 채널 시약까지 확인
+    const step = [...MEASURE_SEQUENCE, HIGH_RANGE_PH_STEP].find(s => s.channels.includes(channel));
+    const channels = step ? step.channels.filter(c => c >= channel) : [channel];
+    if (!this.confirmReagents(channels)) return;
+    
+    try {
+      this.showLoading();
+      const response = await this.api('/measure', 'POST', { channel });
+      this.consumeMeasureReagents(channels, response);
+      this.showMessage(`채널 ${channel} 측정 시작`);
+    } catch (error) {
+      this.showMessage(this.describeError(error, '측정 시작 실패'), 'error');
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  // ========== 🧪 전체 측정 시퀀서 ==========
+
+  /**
+   * pH → NH3(채널 2+3) → NO2 (→ NO3 채널 5+6) 순차 측정
+   * 각 채널 시작 후 장치가 IDLE/READY로 돌아올 때까지 대기
+   */
+  async measureAll() {
+    if (this.sequence && this.sequence.running) {
+      this.showMessage('전체 측정이 이미 진행 중입니다', 'warning');
+      return;
+    }
+    if (this.lastStatus && this.isBusyState(this.lastStatus.state)) {
+      this.showMessage('장치가 작업 중입니다. 완료 후 다시 시도하세요', 'warning');
+      return;
+    }
+
+    const sequence = MEASURE_SEQUENCE.filter(step => !step.feature || this.hasFeature(step.feature));
+    if (!this.confirmReagents(sequence.flatMap(step => step.channels))) return;
+    
+    this.sequence = {
+      running: true,
+      cancelled: false,
+      controller: new AbortController(),  // 취소 시 대기 중인 명령 중단
+      startedAt: Date.now(),
+      finishedAt: null,
+      steps: sequence.map(step => ({
+        ...step,
+        status: 'pending',
+        startedAt: null,
+        endedAt: null,
+        value: null,
+        error: null
+      }))
+    };
+    document.getElementById('btn-measure-all').disabled = true;
+    this.renderMeasureAll();
+    this.showMessage('전체 측정 시작');
+
+    let failed = false;
+    for (const step of this.sequence.steps) {
+      if (this.sequence.cancelled || failed) {
+        step.status = this.sequence.cancelled ? 'cancelled' : 'skipped';
+        continue;
+      }
+
+      step.status = 'running';
+      step.startedAt = Date.now();
+      this.renderMeasureAll();
+
+      try {
+        await this.runMeasureStep(step);
+      } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+        failed = true;
+      }
+
+      step.endedAt = Date.now();
+      this.renderMeasureAll();
+    }
+
+    this.sequence.running = false;
+    this.sequence.finishedAt = Date.now();
+    document.getElementById('btn-measure-all').disabled = false;
+    this.renderMeasureAll();
+
+    if (this.sequence.cancelled) {
+      this.showMessage('전체 측정 취소됨', 'warning');
+    } else if (failed) {
+      this.showMessage('전체 측정 중단 - 실패한 채널 확인', 'error');
+    } else {
+      this.showMessage('전체 측정 완료');
+      this.loadHistory();
+    }
+  }
+
+  /**
+   * 시퀀스 한 단계 실행 (연계 채널 포함)
+   */
+  async runMeasureStep(step) {
+    const handled = new Set();
+    const dosed = new Set();  // 시약 사용량을 기록한 채널 (연계 채널은 시작 명령 때 함께 기록)
+
+    // 질산염 #2 시약은 앞 단계 교반 동안 다시 가라앉으므로 NO3 직전에 흔들기 확인
+    if (step.key === 'no3') {
+      this.renderMeasureAll();
+      if (!await this.confirmNitrateShake()) {
+        step.status = this.sequence.cancelled ? 'cancelled' : 'skipped';
+        if (!this.sequence.cancelled) step.error = '시약병 흔들기 확인 안 함';
+        return;
+      }
+    }
+
+    for (const channel of step.channels) {
+      // 장치가 자동 연계로 이미 실행한 채널은 건너뜀
+      if (handled.has(channel)) continue;
+
+      let response;
+      try {
+        response = await this.api('/measure', 'POST', { channel }, { signal: this.sequence.controller.signal });
+      } catch (error) {
+        if (error instanceof ApiAbortError) {
+          step.status = 'cancelled';
+          return;
+        }
+        throw new Error(this.describeError(error, `채널 ${channel} 시작 실패`));
+      }
+      handled.add(channel);
+      const chained = step.channels.filter(c => c >= channel && !dosed.has(c));
+      chained.forEach(c => dosed.add(c));
+      this.consumeMeasureReagents(chained, response);
+
+      const wait = await this.waitForDeviceIdle({
+        isCancelled: () => this.sequence.cancelled
+      });
+      wait.channels.forEach(c => handled.add(c));
+
+      if (wait.result === 'cancelled') {
+        step.status = 'cancelled';
+        return;
+      }
+      if (wait.result === 'error') throw new Error(`채널 ${channel} 장치 오류`);
+      if (wait.result === 'timeout') throw new Error(`채널 ${channel} 응답 없음`);
+    }
+
+    // 자동 분석이 진행 중이면 결과까지 대기 (촬영이 멈춰도 시퀀스는 계속)
+    if (this.autoAnalysisTask) {
+      await Promise.race([this.autoAnalysisTask, this.delay(AUTO_ANALYSIS_WAIT)]);
+    }
+
+    const analysis = this.lastAnalysis;
+    const value = analysis && analysis.testType === step.key && analysis.analyzedAt >= step.startedAt
+      && analysis.quality.valid
+      ? analysis.value
+      : (this.lastStatus ? this.lastStatus[TEST_INFO[step.key].param] : undefined);
+    step.value = typeof value === 'number' && value >= 0 ? value : null;
+    step.status = 'done';
+  }
+
+  async cancelMeasureAll() {
+    if (!this.sequence || !this.sequence.running) return;
+
+    this.sequence.cancelled = true;
+    this.sequence.controller.abort();
+    if (this.nitrateShakeResolve) this.nitrateShakeResolve(false);
+    try {
+      await this.api('/stop', 'POST', null, { queue: false });
+    } catch (error) {
+      this.showMessage(this.describeError(error, '정지 명령 전송 실패'), 'error');
+    }
+  }
+
+  /**
+   * 전체 측정 진행/요약 표시
+   */
+  /**
+   * 시퀀스 단계 목록 표시 (전체 측정 / 전체 프라이밍 공용)
+   * detail에는 장치 오류 응답 문구가 들어갈 수 있어 textContent로 설정
+   * @param {Object[]} rows - { status, label, detail }
+   */
+  renderSequenceSteps(list, rows) {
+    list.replaceChildren(...rows.map(({ status, label, detail }) => {
+      const item = document.createElement('li');
+      item.className = `sequence-step ${status}`;
+      [['step-label', label], ['step-detail', detail], ['step-status', STEP_STATUS_TEXT[status]]].forEach(([className, text]) => {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        item.appendChild(span);
+      });
+      return item;
+    }));
+  }
+
+  renderMeasureAll() {
+    const seq = this.sequence;
+    const panel = document.getElementById('measure-all-panel');
+    if (!seq || !panel) return;
+
+    panel.style.display = 'block';
+
+    const finished = seq.steps.filter(s => !['pending', 'running'].includes(s.status)).length;
+    document.getElementById('measure-all-bar').style.width =
+      `${Math.round((finished / seq.steps.length) * 100)}%`;
+    document.getElementById('btn-measure-all-cancel').style.display = seq.running ? '' : 'none';
+
+    this.renderSequenceSteps(document.getElementById('measure-all-steps'), seq.steps.map(step => {
+      let detail = '';
+      if (step.status === 'running' && this.nitrateShakeResolve) {
+        detail = '시약병 흔들기 확인 대기';
+      } else if (step.status === 'running' && this.lastStatus) {
+        detail = this.lastStatus.state;
+        if (this.lastStatus.state === 'MIXING' && this.lastStatus.remaining > 0) {
+          detail += ` ${this.formatDuration(this.lastStatus.remaining * 1000)}`;
+        }
+      } else if (step.status === 'done') {
+        const value = step.value !== null
+          ? step.value.toFixed(TEST_INFO[step.key].digits)
+          : '--';
+        detail = `${value} · ${this.formatDuration(step.endedAt - step.startedAt)}`;
+      } else if (step.error) {
+        detail = step.error;
+      }
+
+      return { status: step.status, label: step.label, detail };
+    }));
+
+    const summary = document.getElementById('measure-all-summary');
+    if (seq.running) {
+      summary.textContent = '';
+    } else {
+      const done = seq.steps.filter(s => s.status === 'done').length;
+      summary.textContent =
+        `완료 ${done}/${seq.steps.length} · 총 ${this.formatDuration(seq.finishedAt - seq.startedAt)}`;
+    }
+  }
+
+  async prime(pump) {
+    try {
+      this.showLoading();
+      const { response, drift } = await this.runPrime(pump);
+      
+      if (response.error === 'empty_bottle') {
+        this.showMessage(`펌프 ${pump}: 시약 고갈! 보충 필요`, 'error');
+      } else if (response.type === 'fallback') {
+        this.showMessage(`펌프 ${pump}: 광센서 미보정 → 블라인드 모드`, 'warning');
+      } else if (!(drift && drift.drifted)) {
+        // 시간 편차 경고가 있으면 그 메시지를 유지
+        const modeText = this.primeMode === 'smart' ? '스마트' : '블라인드';
+        this.showMessage(`펌프 ${pump} ${modeText} 프라이밍 완료`);
+      }
+      
+      // 통계 업데이트
+      setTimeout(() => this.updateStats(), 5000);
+    } catch (error) {
+      this.showMessage(this.describeError(error, '프라이밍 실패'), 'error');
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * 프라이밍 명령 전송 + 시약 사용량 / 광센서 그래프 기록
+   * @param {Object} [options] - { signal }
+   * @returns {Promise<Object>} { response: 장치 응답 { type, error }, drift: 프라이밍 시간 편차 }
+   */
+  async runPrime(pump, { signal } = {}) {
+    // 스마트 프라이밍은 액체 감지 과정을 그래프로 표시
+    const trace = this.primeMode === 'smart' ? this.startOpticalTrace(pump) : null;
+    
+    try {
+      // 모드에 따라 다른 API 호출
+      const endpoint = this.primeMode === 'smart' ? '/sprime' : '/prime';
+      // 스마트 프라이밍은 액체 감지까지 응답이 늦을 수 있음
+      const response = await this.api(endpoint, 'POST', { pump }, { timeout: 60000, signal });
+      
+      // 정지 / 오류로 끝난 프라이밍은 실제 배출량을 알 수 없어 기록하지 않음
+      if (response.error === 'empty_bottle') {
+        this.reagentInventory.markEmpty(this.getDeviceId(), pump);
+        this.renderReagents();
+      } else if (!response.error) {
+        this.consumeReagent(pump, this.reagentUsageMl(pump, response.steps) ?? this.getPrimeVolumeMl(pump));
+      }
+      
+      const drift = trace ? this.finishOpticalTrace(trace, response) : null;
+      return { response, drift };
+    } finally {
+      if (trace && trace.running) this.stopOpticalTrace(trace);
+    }
+  }
+
+  // ========== 💧 전체 프라이밍 시퀀서 ==========
+
+  /**
+   * 사용 중인 시약 펌프 순차 프라이밍
+   * 각 펌프는 장치가 PRIMING을 마칠 때까지 /api/status로 대기
+   */
+  async primeAll() {
+    if (this.primeSequence && this.primeSequence.running) {
+      this.showMessage('전체 프라이밍이 이미 진행 중입니다', 'warning');
+      return;
+    }
+    if ((this.sequence && this.sequence.running) || (this.lastStatus && this.isBusyState(this.lastStatus.state))) {
+      this.showMessage('장치가 작업 중입니다. 완료 후 다시 시도하세요', 'warning');
+      return;
+    }
+    
+    const seq = {
+      running: true,
+      cancelled: false,
+      skipping: false,   // 현재 펌프만 건너뛰기 요청
+      controller: null,  // 펌프별 명령 취소
+      mode: this.primeMode,
+      startedAt: Date.now(),
+      finishedAt: null,
+      steps: this.getReagentPumps().map(pump => ({
+        pump,
+        status: 'pending',
+        startedAt: null,
+        endedAt: null,
+        error: null
+      }))
+    };
+    this.primeSequence = seq;
+    document.getElementById('btn-prime-all').disabled = true;
+    this.renderPrimeAll();
+    const modeText = seq.mode === 'smart' ? '스마트' : '블라인드';
+    this.showMessage(`전체 ${modeText} 프라이밍 시작`);
+    
+    let failed = false;
+    for (const step of seq.steps) {
+      if (seq.cancelled || failed) {
+        step.status = seq.cancelled ? 'cancelled' : 'skipped';
+        continue;
+      }
+      
+      step.status = 'running';
+      step.startedAt = Date.now();
+      seq.skipping = false;
+      seq.controller = new AbortController();
+      this.renderPrimeAll();
       
-      // 푸터에 시스템 정보 표시
-      const footer = document.querySelector('.footer-info');
-      if (footer) {
-        footer.innerHTML = `v${system.version} | ${wifi.mode} | ${wifi.ip || wifi.ap_ip}`;
+      try {
+        await this.runPrimeStep(step);
+      } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+        failed = true;
       }
-    } catch (e) {
-      console.warn('[SystemInfo] Failed to load:', e);
+      
+      step.endedAt = Date.now();
+      this.renderPrimeAll();
+    }
+    
+    seq.running = false;
+    seq.finishedAt = Date.now();
+    document.getElementById('btn-prime-all').disabled = false;
+    this.renderPrimeAll();
+    setTimeout(() => this.updateStats(), 2000);
+    
+    if (seq.cancelled) {
+      this.showMessage('전체 프라이밍 취소됨', 'warning');
+    } else if (failed) {
+      this.showMessage('전체 프라이밍 중단 - 실패한 펌프 확인', 'error');
+    } else {
+      this.showMessage(`전체 ${modeText} 프라이밍 완료`);
     }
   }
-
-  // ========== API Communication ==========
   
-  async api(endpoint, method = 'GET', body = null) {
-    const url = `${this.apiUrl}/api${endpoint}`;
-    const options = {
-      method,
-      headers: { 'Content-Type': 'application/json' },
-      mode: 'cors'
+  /**
+   * 펌프 하나 프라이밍 후 장치 IDLE 복귀까지 대기
+   */
+  async runPrimeStep(step) {
+    const seq = this.primeSequence;
+    
+    // 취소 / 건너뛰기로 중단 - 건너뛰기는 이 펌프만 정지 후 다음 펌프로
+    const interrupted = async () => {
+      if (seq.cancelled) {
+        step.status = 'cancelled';
+        return;
+      }
+      step.status = 'skipped';
+      try {
+        await this.api('/stop', 'POST', null, { queue: false });
+      } catch (error) {
+        throw new Error(this.describeError(error, '정지 명령 전송 실패'));
+      }
     };
     
-    if (body) {
-      options.body = JSON.stringify(body);
+    let response;
+    try {
+      ({ response } = await this.runPrime(step.pump, { signal: seq.controller.signal }));
+    } catch (error) {
+      if (error instanceof ApiAbortError) return interrupted();
+      throw new Error(this.describeError(error, '명령 실패'));
     }
+    if (response.error === 'empty_bottle') throw new Error('시약 고갈 - 보충 필요');
+    
+    // 스마트 프라이밍은 액체 감지 후 응답 → IDLE 확인만,
+    // 블라인드 (미보정 대체 포함)는 PRIMING 시작 / 종료를 모두 확인
+    const wait = await this.waitForDeviceIdle({
+      startTimeout: 5000,
+      timeout: PRIME_STEP_TIMEOUT,
+      requireBusy: seq.mode === 'blind' || response.type === 'fallback',
+      isCancelled: () => seq.cancelled || seq.skipping
+    });
+    
+    if (wait.result === 'cancelled') return interrupted();
+    if (wait.result === 'error') throw new Error('장치 오류');
+    if (wait.result === 'timeout') throw new Error('응답 없음');
+    step.status = 'done';
+  }
+  
+  skipPrimeStep() {
+    const seq = this.primeSequence;
+    if (!seq || !seq.running) return;
+    
+    seq.skipping = true;
+    seq.controller.abort();
+  }
+  
+  async cancelPrimeAll() {
+    const seq = this.primeSequence;
+    if (!seq || !seq.running) return;
     
+    seq.cancelled = true;
+    seq.controller.abort();
     try {
-      const response = await fetch(url, options);
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
-      
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        return await response.json();
-      }
-      return response;
+      await this.api('/stop', 'POST', null, { queue: false });
     } catch (error) {
-      console.error(`API Error [${endpoint}]:`, error);
-      throw error;
+      this.showMessage(this.describeError(error, '정지 명령 전송 실패'), 'error');
     }
   }
-
-  // ========== Polling ==========
   
-  startPolling() {
-    this.poll();
-    this.pollInterval = setInterval(() => this.poll(), 2000);
+  /**
+   * 전체 프라이밍 진행/요약 표시
+   */
+  renderPrimeAll() {
+    const seq = this.primeSequence;
+    const panel = document.getElementById('prime-all-panel');
+    if (!seq || !panel) return;
+    
+    panel.style.display = 'block';
+    
+    const finished = seq.steps.filter(s => !['pending', 'running'].includes(s.status)).length;
+    document.getElementById('prime-all-bar').style.width =
+      `${Math.round((finished / seq.steps.length) * 100)}%`;
+    document.getElementById('prime-all-actions').style.display = seq.running ? '' : 'none';
+    
+    this.renderSequenceSteps(document.getElementById('prime-all-steps'), seq.steps.map(step => {
+      let detail = CHANNEL_NAMES[step.pump];
+      if (step.status === 'running') {
+        const state = this.lastStatus ? `${this.lastStatus.state} · ` : '';
+        detail = `${state}${this.formatDuration(Date.now() - step.startedAt)}`;
+        const trace = this.opticalTrace;
+        if (trace && trace.pump === step.pump && trace.detectedAt !== null) detail += ' · 액체 감지';
+      } else if (step.status === 'done') {
+        detail = this.formatDuration(step.endedAt - step.startedAt);
+      } else if (step.status === 'failed') {
+        detail = step.error;
+      }
+      
+      return { status: step.status, label: `P${step.pump}`, detail };
+    }));
+    
+    const summary = document.getElementById('prime-all-summary');
+    if (seq.running) {
+      summary.textContent = '';
+    } else {
+      const done = seq.steps.filter(s => s.status === 'done').length;
+      summary.textContent =
+        `완료 ${done}/${seq.steps.length} · 총 ${this.formatDuration(seq.finishedAt - seq.startedAt)}`;
+    }
   }
 
-  async poll() {
-    try {
-      const status = await this.api('/status');
-      this.updateStatus(status);
-      this.setConnected(true);
-    } catch (error) {
-      this.setConnected(false);
+  // ========== 🧴 Reagent Inventory ==========
+
+  /**
+   * @returns {number|null} 장치 reagentSteps (steps/ml), 아직 받지 못했으면 null
+   */
+  getReagentStepsPerMl(pump) {
+    return this.reagentSteps[pump - 1] || null;
+  }
+
+  /**
+   * 스텝 수 → 사용량 (ml), 장치 reagentSteps (steps/ml) 기준
+   * @returns {number|null} 스텝 수나 장치 steps/ml을 모르면 null
+   */
+  reagentUsageMl(pump, steps) {
+    const stepsPerMl = this.getReagentStepsPerMl(pump);
+    return Number.isFinite(steps) && stepsPerMl ? steps / stepsPerMl : null;
+  }
+
+  /**
+   * 측정 명령의 시약 사용량 기록 (연계 채널 포함)
+   * 응답에 펌프별 투입 스텝 수(steps: { 펌프: 스텝 })가 있으면 steps/ml로 환산,
+   * 현재 펌웨어처럼 보고하지 않으면 설정의 1회 투입량 추정값 사용
+   */
+  consumeMeasureReagents(channels, response) {
+    const deviceId = this.getDeviceId();
+    channels.filter(c => REAGENT_PUMPS.includes(c)).forEach(pump => {
+      const reported = this.reagentUsageMl(pump, response?.steps?.[pump]);
+      this.consumeReagent(pump, reported ?? this.reagentInventory.entry(deviceId, pump).doseMl);
+    });
+  }
+
+  /**
+   * 시약 사용량 차감 + 부족 단계로 바뀌면 경고
+   * 이 앱이 보낸 명령만 기록 (다른 탭 / 기기에서 보낸 명령은 포함되지 않음)
+   * @param {number|null} ml - 음수 = 역방향 회수, 알 수 없으면(null) 기록하지 않음
+   */
+  consumeReagent(pump, ml) {
+    if (!REAGENT_PUMPS.includes(pump) || !Number.isFinite(ml)) return;
+    
+    const deviceId = this.getDeviceId();
+    const before = this.reagentInventory.status(deviceId, pump).level;
+    this.reagentInventory.consume(deviceId, pump, ml);
+    
+    const after = this.reagentInventory.status(deviceId, pump);
+    if (after.level !== before && after.level !== 'ok') {
+      this.showMessage(after.level === 'empty'
+        ? `${CHANNEL_NAMES[pump]} 시약 소진 예상 - 보충 필요`
+        : `${CHANNEL_NAMES[pump]} 시약 부족 - 약 ${after.tests}회 남음`, 'warning');
     }
+    this.renderReagents();
   }
 
-  setConnected(connected) {
-    this.connected = connected;
-    const el = document.getElementById('connection-status');
-    el.className = 'connection-status ' + (connected ? 'connected' : 'error');
-    el.querySelector('.status-text').textContent = connected ? '연결됨' : '연결 끊김';
+  /**
+   * 측정에 쓸 시약이 소진 예상이면 계속할지 확인
+   */
+  confirmReagents(pumps) {
+    const deviceId = this.getDeviceId();
+    const empty = pumps.filter(pump => REAGENT_PUMPS.includes(pump) && this.reagentInventory.status(deviceId, pump).level === 'empty');
+    if (!empty.length) return true;
+    
+    const names = empty.map(pump => CHANNEL_NAMES[pump]).join(', ');
+    return confirm(`시약이 소진되었을 수 있습니다: ${names}\n그래도 측정할까요?`);
   }
 
-  // ========== Status Updates ==========
-  
-  updateStatus(data) {
-    // 상태
-    document.getElementById('current-state').textContent = data.state;
+  refillReagent(pump) {
+    const deviceId = this.getDeviceId();
+    const entry = this.reagentInventory.entry(deviceId, pump);
+    const input = prompt(`${CHANNEL_NAMES[pump]} 시약병 보충\n새 병 용량 (ml)`, entry.bottleMl);
+    if (input === null) return;
     
-    // 채널
-    const channelEl = document.getElementById('current-channel');
-    if (data.channel > 0) {
-      const names = ['', 'pH', 'NH3#1', 'NH3#2', 'NO2'];
-      channelEl.textContent = `채널 ${data.channel} (${names[data.channel]})`;
-    } else {
-      channelEl.textContent = '';
+    const bottleMl = parseFloat(input);
+    if (!(bottleMl > 0)) {
+      this.showMessage('시약병 용량을 확인하세요', 'error');
+      return;
     }
     
-    // 타이머
-    const timerCard = document.getElementById('timer-card');
-    if (data.state === 'MIXING' && data.remaining > 0) {
-      timerCard.style.display = 'block';
-      const min = Math.floor(data.remaining / 60);
-      const sec = data.remaining % 60;
-      document.getElementById('timer-value').textContent = 
-        `${String(min).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
-    } else {
-      timerCard.style.display = 'none';
+    this.reagentInventory.refill(deviceId, pump, bottleMl);
+    this.renderReagents();
+    this.showMessage(`${CHANNEL_NAMES[pump]} 시약 보충 기록 (${bottleMl} ml)`);
+  }
+
+  /**
+   * 펌프별 잔량 / 남은 측정 횟수 표시
+   */
+  renderReagents() {
+    const list = document.getElementById('reagent-list');
+    if (!list) return;
+    
+    const deviceId = this.getDeviceId();
+    list.innerHTML = REAGENT_PUMPS.map(pump => {
+      const entry = this.reagentInventory.entry(deviceId, pump);
+      const { remainingMl, tests, level } = this.reagentInventory.status(deviceId, pump);
+      const percent = Math.round((remainingMl / entry.bottleMl) * 100);
+      
+      let filled = '보충 기록 없음';
+      if (entry.filledAt) {
+        const d = new Date(entry.filledAt);
+        filled = `보충 ${d.getMonth() + 1}/${d.getDate()}`;
+      }
+      
+      return `
+        <li class="reagent-item ${level}">
+          <div class="reagent-head">
+            <span class="reagent-name">P${pump} (${CHANNEL_NAMES[pump]})</span>
+            <span class="reagent-amount">${remainingMl.toFixed(1)} / ${entry.bottleMl} ml · 약 ${tests}회</span>
+          </div>
+          <div class="reagent-bar"><div class="reagent-bar-fill" style="width: ${percent}%"></div></div>
+          <div class="reagent-foot">
+            <span class="reagent-date">${filled}</span>
+            <button class="reagent-refill-btn" data-pump="${pump}">보충</button>
+          </div>
+        </li>
+      `;
+    }).join('');
+  }
+
+  /**
+   * 설정 탭에 현재 장치의 1회 투입량 표시
+   */
+  loadReagentDoses() {
+    const deviceId = this.getDeviceId();
+    REAGENT_PUMPS.forEach(pump => {
+      document.getElementById(`set-dose-${pump}`).value = this.reagentInventory.entry(deviceId, pump).doseMl;
+    });
+  }
+
+  // ========== 🧵 Tube Geometry ==========
+
+  /**
+   * 블라인드 프라이밍 부피 (ml) - 튜브 데드 볼륨 + 여유
+   * @param {number|string} line - 시약 펌프 번호 또는 'sample'
+   */
+  getPrimeVolumeMl(line) {
+    return TubeStore.volumeMl(this.tubeStore.get(this.getDeviceId(), line)) * PRIME_VOLUME_MARGIN;
+  }
+
+  /**
+   * 라인별 튜브 입력 + 계산된 프라이밍 부피 표시
+   */
+  renderTubeSettings() {
+    const grid = document.getElementById('tube-grid');
+    if (!grid) return;
+    
+    const deviceId = this.getDeviceId();
+    const lines = [...this.getReagentPumps(), 'sample'];
+    grid.innerHTML = `
+      <div class="tube-row tube-header">
+        <span>라인</span><span>내경 (mm)</span><span>길이 (mm)</span><span>프라이밍</span>
+      </div>
+      ${lines.map(line => {
+        const tube = this.tubeStore.get(deviceId, line);
+        return `
+          <div class="tube-row" data-line="${line}">
+            <span class="tube-label">${line === 'sample' ? '샘플' : `P${line} (${CHANNEL_NAMES[line]})`}</span>
+            <input type="number" class="tube-id" value="${tube.innerDiameter}" min="0.1" step="0.1">
+            <input type="number" class="tube-length" value="${tube.length}" min="1" step="10">
+            <span class="tube-volume"></span>
+          </div>
+        `;
+      }).join('')}
+    `;
+    grid.querySelectorAll('.tube-row[data-line]').forEach(row => this.updateTubeRow(row));
+  }
+
+  /**
+   * 입력 중인 튜브 치수로 부피 / 스텝 수 다시 계산
+   */
+  updateTubeRow(row) {
+    const line = row.dataset.line;
+    const tube = {
+      innerDiameter: parseFloat(row.querySelector('.tube-id').value),
+      length: parseFloat(row.querySelector('.tube-length').value)
+    };
+    const el = row.querySelector('.tube-volume');
+    if (!(tube.innerDiameter > 0 && tube.length > 0)) {
+      el.textContent = '--';
+      return;
     }
     
-    // 측정값 (담수용: pH, NH3, NO2)
-    if (data.ph > 0) document.getElementById('val-ph').textContent = data.ph.toFixed(1);
-    if (data.nh3 >= 0) document.getElementById('val-nh3').textContent = data.nh3.toFixed(2);
-    if (data.no2 >= 0) document.getElementById('val-no2').textContent = data.no2.toFixed(2);
-    // NO3는 Phase2 (확장 예정)
-    if (data.no3 >= 0) document.getElementById('val-no3').textContent = data.no3.toFixed(1);
+    const ml = TubeStore.volumeMl(tube) * PRIME_VOLUME_MARGIN;
+    // 샘플 펌프는 시간 기반, 장치 steps/ml을 모르면 스텝 수 표시 안 함
+    const stepsPerMl = line === 'sample' ? null : this.getReagentStepsPerMl(parseInt(line));
+    el.textContent = stepsPerMl
+      ? `${ml.toFixed(2)} ml · ${Math.round(ml * stepsPerMl)} 스텝`
+      : `${ml.toFixed(2)} ml`;
+  }
+
+  /**
+   * 튜브 입력 읽기 + 전체 검사 (저장 전)
+   * @returns {Object[]} { line, tube: { innerDiameter, length } }
+   * @throws {Error} 잘못된 치수 (첫 번째 행)
+   */
+  readTubeSettings() {
+    return [...document.querySelectorAll('#tube-grid .tube-row[data-line]')].map(row => {
+      const line = row.dataset.line;
+      const tube = {
+        innerDiameter: parseFloat(row.querySelector('.tube-id').value),
+        length: parseFloat(row.querySelector('.tube-length').value)
+      };
+      if (!(tube.innerDiameter > 0 && tube.length > 0)) {
+        throw new Error(`${line === 'sample' ? '샘플' : `P${line}`} 튜브 내경 / 길이를 확인하세요`);
+      }
+      return { line, tube };
+    });
+  }
+
+  /**
+   * 검사된 튜브 입력 저장 후 장치로 보낼 블라인드 프라이밍 부피
+   * 스텝 수는 장치 steps/ml을 받은 펌프만 포함 (모르면 ml만)
+   * @param {Object[]} rows - readTubeSettings() 결과
+   * @returns {Object} { primeVolumes: 사용 중인 펌프별 { pump, ml, steps? }, sampleLineVolume }
+   */
+  saveTubeSettings(rows) {
+    const deviceId = this.getDeviceId();
+    rows.forEach(({ line, tube }) => this.tubeStore.set(deviceId, line, tube));
     
-    // 버튼 상태 (바쁜 상태면 비활성화)
-    const busy = !['IDLE', 'READY', 'ERROR'].includes(data.state);
-    document.querySelectorAll('.measure-btn, .prime-btn').forEach(btn => {
-      btn.disabled = busy;
-      btn.style.opacity = busy ? 0.5 : 1;
+    const round = (x, digits) => Math.round(x * 10 ** digits) / 10 ** digits;
+    const primeVolumes = this.getReagentPumps().map(pump => {
+      const ml = this.getPrimeVolumeMl(pump);
+      const stepsPerMl = this.getReagentStepsPerMl(pump);
+      return stepsPerMl
+        ? { pump, ml: round(ml, 3), steps: Math.round(ml * stepsPerMl) }
+        : { pump, ml: round(ml, 3) };
     });
+    return { primeVolumes, sampleLineVolume: round(this.getPrimeVolumeMl('sample'), 3) };
   }
 
-  // ========== Actions ==========
+  // ========== 📈 Smart Prime Trace ==========
+
+  /**
+   * 스마트 프라이밍 동안 광센서 빠른 조회 시작
+   */
+  startOpticalTrace(pump) {
+    const cal = this.opticalThresholds[pump - 1];
+    const trace = {
+      pump,
+      start: Date.now(),
+      samples: [],
+      threshold: cal ? cal.threshold : OPTICAL_DEFAULT_THRESHOLD,
+      hysteresis: cal ? cal.hysteresis : 0,
+      detectedAt: null,  // 시작 후 ms
+      endedAt: null,
+      running: true
+    };
+    this.opticalTrace = trace;
+    this.renderPrimeTrace();
+    this.pollOpticalTrace(trace);
+    return trace;
+  }
+
+  async pollOpticalTrace(trace) {
+    while (trace.running) {
+      try {
+        // 다음 주기가 재시도 역할
+        const data = await this.api('/optical', 'GET', null, { retries: 0, timeout: OPTICAL_TRACE.timeout });
+        if (trace.running && Array.isArray(data.sensors)) {
+          const t = Date.now() - trace.start;
+          trace.samples.push({ t, sensors: data.sensors });
+          if (trace.detectedAt === null && data.sensors[trace.pump - 1] < trace.threshold - trace.hysteresis) {
+            trace.detectedAt = t;
+          }
+          this.renderPrimeTrace();
+        }
+      } catch (error) {
+        // 조회 실패 구간은 그래프에서 비워 둠
+      }
+      await this.delay(OPTICAL_TRACE.interval);
+    }
+  }
+
+  stopOpticalTrace(trace) {
+    trace.running = false;
+    trace.endedAt = Date.now() - trace.start;
+    this.renderPrimeTrace();
+  }
+
+  /**
+   * 프라이밍 응답 후 시간 기록 + 이전 기록 대비 편차 경고
+   * @returns {Object|null} PrimeLog.drift() 결과
+   */
+  finishOpticalTrace(trace, response) {
+    this.stopOpticalTrace(trace);
+    // 광센서 미보정으로 블라인드 대체 / 정지·오류로 중단 시 시간 비교 의미 없음
+    if (response.type === 'fallback') return null;
+    if (response.error && response.error !== 'empty_bottle') return null;
+    
+    // 펌프 시간은 장치 보고값 우선 (응답 지연 / 큐 대기가 포함된 경과 시간은 보고값이 없을 때만)
+    const deviceId = this.getDeviceId();
+    this.primeLog.add(deviceId, trace.pump, {
+      at: trace.start,
+      durationMs: Number.isFinite(response.duration) ? response.duration : trace.endedAt,
+      detectedMs: trace.detectedAt,
+      result: response.error === 'empty_bottle' ? 'empty' : 'ok'
+    });
+    this.renderPrimeLog();
+    
+    const drift = response.error ? null : this.primeLog.drift(deviceId, trace.pump);
+    if (drift && drift.drifted) {
+      const percent = Math.round(Math.abs(drift.ratio) * 100);
+      this.showMessage(drift.ratio > 0
+        ? `펌프 ${trace.pump}: 프라이밍 시간 ${percent}% 증가 - 튜브 막힘 / 누설 확인`
+        : `펌프 ${trace.pump}: 프라이밍 시간 ${percent}% 감소 - 튜브 잔류 시약 / 센서 확인`, 'warning');
+    }
+    return drift;
+  }
+
+  renderPrimeTrace() {
+    const trace = this.opticalTrace;
+    const card = document.getElementById('prime-trace');
+    if (!trace || !card) return;
+    
+    card.hidden = false;
+    if (!this.opticalTraceChart) {
+      this.opticalTraceChart = new OpticalTraceChart(document.getElementById('prime-trace-chart'));
+    }
+    this.opticalTraceChart.draw(trace, this.getReagentPumps());
+    
+    const elapsed = trace.endedAt ?? (Date.now() - trace.start);
+    const detected = trace.detectedAt !== null ? ` · 액체 감지 ${(trace.detectedAt / 1000).toFixed(1)}초` : '';
+    document.getElementById('prime-trace-summary').textContent = trace.running
+      ? `P${trace.pump} 프라이밍 중 · ${(elapsed / 1000).toFixed(1)}초${detected}`
+      : `P${trace.pump} 펌프 ${(elapsed / 1000).toFixed(1)}초${detected}`;
+  }
+
+  /**
+   * 펌프별 최근 프라이밍 시간 / 기준 대비 편차
+   */
+  renderPrimeLog() {
+    const table = document.getElementById('prime-log');
+    if (!table) return;
+    
+    const deviceId = this.getDeviceId();
+    const rows = this.getReagentPumps()
+      .map(pump => ({ pump, entries: this.primeLog.get(deviceId, pump) }))
+      .filter(row => row.entries.length);
+    if (!rows.length) {
+      table.innerHTML = '';
+      return;
+    }
+    
+    const sec = (ms) => ms === null || ms === undefined ? '--' : `${(ms / 1000).toFixed(1)}s`;
+    table.innerHTML = `
+      <thead><tr><th>펌프</th><th>최근</th><th>감지</th><th>기준</th><th>편차</th></tr></thead>
+      <tbody>
+        ${rows.map(({ pump, entries }) => {
+          const latest = entries[entries.length - 1];
+          const drift = latest.result === 'ok' ? this.primeLog.drift(deviceId, pump) : null;
+          const deviation = drift ? `${drift.ratio >= 0 ? '+' : ''}${Math.round(drift.ratio * 100)}%` : '--';
+          return `
+            <tr class="${latest.result === 'empty' || (drift && drift.drifted) ? 'drifted' : ''}">
+              <td>P${pump}</td>
+              <td>${latest.result === 'empty' ? '고갈' : sec(latest.durationMs)}</td>
+              <td>${sec(latest.detectedMs)}</td>
+              <td>${drift ? sec(drift.baselineMs) : '--'}</td>
+              <td>${deviation}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    `;
+    document.getElementById('prime-trace').hidden = false;
+  }
+
+  // ========== 🔬 Optical Sensor ==========
   
-  async measure(channel) {
+  async fetchOpticalStatus() {
     try {
-      this.showLoading();
-      await this.api('/measure', 'POST', { channel });
-      this.showMessage(`채널 ${channel} 측정 시작`);
+      const data = await this.api('/optical');
+      
+      if (data.sensors && data.sensors.length >= 4) {
+        data.sensors.forEach((value, idx) => {
+          const el = document.getElementById(`opt-${idx + 1}`);
+          if (el) {
+            el.textContent = value;
+            // 센서별 보정 임계값 기준으로 색상 표시
+            el.className = 'optical-value ' + (this.isOpticalLiquid(idx, value) ? 'liquid' : 'air');
+          }
+        });
+      }
     } catch (error) {
-      this.showMessage('측정 시작 실패', 'error');
-    } finally {
-      this.hideLoading();
+      console.error('Optical fetch failed:', error);
     }
   }
 
-  async measureAll() {
-    this.showMessage('전체 측정 기능은 준비 중입니다');
+  /**
+   * 액체 판정 (보정값이 있으면 히스테리시스 적용)
+   * 액체 → 공기: 임계값 + 폭 초과, 공기 → 액체: 임계값 - 폭 미만
+   */
+  isOpticalLiquid(idx, value) {
+    const cal = this.opticalThresholds[idx];
+    if (!cal) return value < OPTICAL_DEFAULT_THRESHOLD;
+    
+    const liquid = this.opticalLiquid[idx]
+      ? value < cal.threshold + cal.hysteresis
+      : value < cal.threshold - cal.hysteresis;
+    this.opticalLiquid[idx] = liquid;
+    return liquid;
   }
 
-  async prime(pump) {
+  /**
+   * 장치에 저장된 광센서 보정값 적용
+   */
+  setOpticalThresholds(thresholds) {
+    this.opticalThresholds = (thresholds || []).map(t =>
+      t && Number.isFinite(t.air) && Number.isFinite(t.liquid)
+        ? OpticalCalibration.evaluate(t.air, t.liquid)
+        : null
+    );
+    this.opticalLiquid = [];
+    this.renderOpticalHealth();
+  }
+
+  /**
+   * 센서별 공기/액체 차이 상태 표시
+   */
+  renderOpticalHealth() {
+    const summary = document.getElementById('optical-health');
+    if (!summary) return;
+    
+    const pumps = this.getReagentPumps();
+    pumps.forEach(pump => {
+      const item = document.getElementById(`opt-${pump}`)?.closest('.optical-item');
+      if (!item) return;
+      
+      const cal = this.opticalThresholds[pump - 1];
+      item.classList.remove('health-good', 'health-weak', 'health-bad');
+      if (cal) item.classList.add(`health-${cal.health}`);
+      item.title = cal
+        ? `공기 ${cal.air} / 액체 ${cal.liquid} · 임계값 ${cal.threshold} ± ${cal.hysteresis} · ${OPTICAL_HEALTH_TEXT[cal.health]}`
+        : `보정 전 (임계값 ${OPTICAL_DEFAULT_THRESHOLD})`;
+    });
+    
+    const calibrated = pumps.filter(pump => this.opticalThresholds[pump - 1]);
+    const unreliable = calibrated.filter(pump => this.opticalThresholds[pump - 1].health !== 'good');
+    if (!calibrated.length) {
+      summary.textContent = `보정 전 - 기본 임계값 ${OPTICAL_DEFAULT_THRESHOLD} 사용`;
+      summary.className = 'optical-health';
+    } else if (unreliable.length) {
+      summary.textContent = `공기/액체 차이 부족: ${unreliable.map(p => `P${p}`).join(', ')} - 튜브 / 센서 위치 확인`;
+      summary.className = 'optical-health warning';
+    } else {
+      summary.textContent = `보정됨 (${calibrated.length}개 센서)`;
+      summary.className = 'optical-health ok';
+    }
+  }
+
+  // ========== 🔬 광센서 보정 마법사 ==========
+
+  startOpticalCalibration() {
+    this.opticalCalibration = new OpticalCalibration();
+    this.renderOpticalCalibration();
+  }
+
+  cancelOpticalCalibration() {
+    this.opticalCalibration = null;
+    this.renderOpticalCalibration();
+  }
+
+  /**
+   * 현재 튜브 상태의 센서값 여러 번 읽어 평균 기록
+   * @param {string} phase - 'air' | 'liquid'
+   */
+  async recordOpticalPhase(phase) {
+    const wizard = this.opticalCalibration;
+    if (!wizard) return;
+    
     try {
       this.showLoading();
-      
-      // 모드에 따라 다른 API 호출
-      const endpoint = this.primeMode === 'smart' ? '/sprime' : '/prime';
-      const response = await this.api(endpoint, 'POST', { pump });
-      
-      if (response.error === 'empty_bottle') {
-        this.showMessage(`펌프 ${pump}: 시약 고갈! 보충 필요`, 'error');
-      } else if (response.type === 'fallback') {
-        this.showMessage(`펌프 ${pump}: 광센서 미보정 → 블라인드 모드`, 'warning');
-      } else {
-        const modeText = this.primeMode === 'smart' ? '스마트' : '블라인드';
-        this.showMessage(`펌프 ${pump} ${modeText} 프라이밍 완료`);
+      const samples = [];
+      for (let i = 0; i < OPTICAL_SAMPLES.count; i++) {
+        if (i > 0) await this.delay(OPTICAL_SAMPLES.interval);
+        const data = await this.api('/optical');
+        if (!Array.isArray(data.sensors)) throw new Error('광센서 값 없음');
+        samples.push(data.sensors);
       }
       
-      // 통계 업데이트
-      setTimeout(() => this.updateStats(), 5000);
+      wizard.record(phase, samples);
+      this.renderOpticalCalibration();
     } catch (error) {
-      this.showMessage('프라이밍 실패', 'error');
+      this.showMessage(this.describeError(error, '광센서 읽기 실패'), 'error');
     } finally {
       this.hideLoading();
     }
   }
 
-  async primeAll() {
-    const modeText = this.primeMode === 'smart' ? '스마트' : '블라인드';
-    this.showMessage(`전체 ${modeText} 프라이밍: 순차 실행`);
-    for (let i = 1; i <= 4; i++) {
-      await this.prime(i);
-      await this.delay(this.primeMode === 'smart' ? 15000 : 35000);
+  async saveOpticalCalibration() {
+    const wizard = this.opticalCalibration;
+    if (!wizard || !wizard.isComplete()) return;
+    
+    const results = wizard.compute();
+    
+    // 장치가 펌프 수보다 적은 센서를 보고하면 (예: no3 지원인데 센서 4개) 해당 펌프는 기존 값 유지
+    const missing = this.getReagentPumps().filter(pump => !results[pump - 1]);
+    const pumps = this.getReagentPumps().filter(pump => results[pump - 1]);
+    if (!pumps.length) {
+      this.showMessage('광센서 값을 받지 못했습니다 - 공기 / 액체 단계를 다시 측정하세요', 'error');
+      return;
     }
-  }
-
-  // ========== 🔬 Optical Sensor ==========
-  
-  async fetchOpticalStatus() {
+    
+    // 액체가 공기보다 밝으면 임계값이 뒤집혀 감지가 반대로 동작 → 저장 불가
+    const inverted = pumps.filter(pump => results[pump - 1].gap <= 0);
+    if (inverted.length) {
+      this.showMessage(`${inverted.map(p => `P${p}`).join(', ')} 센서: 액체 값이 공기 값 이상 - 공기 / 액체 단계를 다시 측정하세요`, 'error');
+      return;
+    }
+    
+    const bad = pumps.filter(pump => results[pump - 1].health === 'bad');
+    if (bad.length && !confirm(
+      `${bad.map(p => `P${p}`).join(', ')} 센서는 공기/액체 차이가 작아 신뢰할 수 없습니다.\n그래도 저장할까요?`
+    )) return;
+    
+    // 사용하지 않는 센서는 기존 값 유지
+    const pick = ({ air, liquid, threshold, hysteresis }) => ({ air, liquid, threshold, hysteresis });
+    const count = Math.max(results.length, this.opticalThresholds.length);
+    const opticalThresholds = Array.from({ length: count }, (_, i) => {
+      if (pumps.includes(i + 1)) return pick(results[i]);
+      return this.opticalThresholds[i] ? pick(this.opticalThresholds[i]) : null;
+    });
+    
     try {
-      const data = await this.api('/optical');
-      
-      if (data.sensors && data.sensors.length === 4) {
-        data.sensors.forEach((value, idx) => {
-          const el = document.getElementById(`opt-${idx + 1}`);
-          if (el) {
-            el.textContent = value;
-            // 임계값 2250 기준으로 색상 표시
-            el.className = 'optical-value ' + (value < 2250 ? 'liquid' : 'air');
-          }
-        });
+      await this.api('/calibration', 'POST', { opticalThresholds });
+      this.setOpticalThresholds(opticalThresholds);
+      this.opticalCalibration = null;
+      this.renderOpticalCalibration();
+      this.fetchOpticalStatus();
+      if (missing.length) {
+        this.showMessage(`광센서 보정 저장 완료 - ${missing.map(p => `P${p}`).join(', ')} 센서 값 없음 (기존 값 유지)`, 'warning');
+      } else {
+        this.showMessage('광센서 보정 저장 완료');
       }
     } catch (error) {
-      console.error('Optical fetch failed:', error);
+      this.showMessage(this.describeError(error, '광센서 보정 저장 실패'), 'error');
     }
   }
 
+  renderOpticalCalibration() {
+    const panel = document.getElementById('optical-calib');
+    const wizard = this.opticalCalibration;
+    panel.hidden = !wizard;
+    document.getElementById('btn-optical-calib').hidden = !!wizard;
+    if (!wizard) return;
+    
+    document.getElementById('btn-optical-air').classList.toggle('active', !!wizard.air);
+    document.getElementById('btn-optical-liquid').classList.toggle('active', !!wizard.liquid);
+    document.getElementById('btn-optical-save').disabled = !wizard.isComplete();
+    
+    const table = document.getElementById('optical-calib-table');
+    if (!wizard.air && !wizard.liquid) {
+      table.innerHTML = '';
+      return;
+    }
+    
+    const results = wizard.isComplete() ? wizard.compute() : null;
+    const fmt = (values, idx) => values && Number.isFinite(values[idx]) ? values[idx] : '--';
+    table.innerHTML = `
+      <thead><tr><th>센서</th><th>공기</th><th>액체</th><th>임계값</th><th>상태</th></tr></thead>
+      <tbody>
+        ${this.getReagentPumps().map(pump => {
+          const idx = pump - 1;
+          const r = results && results[idx];
+          return `
+            <tr class="${r ? `health-${r.health}` : ''}">
+              <td>P${pump}</td>
+              <td>${fmt(wizard.air, idx)}</td>
+              <td>${fmt(wizard.liquid, idx)}</td>
+              <td>${r ? `${r.threshold} ± ${r.hysteresis}` : '--'}</td>
+              <td>${r ? OPTICAL_HEALTH_TEXT[r.health] : (results ? '센서 값 없음' : '--')}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    `;
+  }
+
   setPrimeMode(mode) {
     this.primeMode = mode;
     
@@ -702,38 +4845,184 @@ class AutoFreshCheck {
       const body = { type };
       Object.assign(body, options);
       await this.api('/pump', 'POST', body);
+      // 장치 steps/ml을 아직 모르면 기록하지 않음 (역방향은 음수 → 회수)
+      if (type === 'reagent') {
+        this.consumeReagent(options.id, this.reagentUsageMl(options.id, options.steps));
+      }
       this.showMessage(`${type} 실행 완료`);
     } catch (error) {
-      this.showMessage(`${type} 실패`, 'error');
+      this.showMessage(this.describeError(error, `${type} 실패`), 'error');
     }
   }
 
   async emergencyStop() {
+    // 진행 중인 시퀀스도 함께 중단
+    if (this.sequence && this.sequence.running) {
+      this.sequence.cancelled = true;
+      this.sequence.controller.abort();
+    }
+    if (this.primeSequence && this.primeSequence.running) {
+      this.primeSequence.cancelled = true;
+      this.primeSequence.controller.abort();
+    }
+
+    // 대기 중인 명령은 버리고 정지 명령은 큐를 건너뛰어 즉시 전송
+    this.apiClient.clearQueue();
+
     try {
-      await this.api('/stop', 'POST');
+      await this.api('/stop', 'POST', null, { queue: false });
       this.showMessage('긴급 정지 실행됨', 'warning');
     } catch (error) {
-      this.showMessage('정지 명령 전송 실패', 'error');
+      this.showMessage(this.describeError(error, '정지 명령 전송 실패'), 'error');
     }
   }
 
+  /**
+   * 카메라 촬영 (연속 촬영 설정 시 burst)
+   * @returns {Promise<boolean>} 이미지 로드 성공 여부
+   */
   async capture() {
+    if (this.burst.frames > 1) return this.captureBurst();
+    
+    this.lastBurst = null;
+    this.renderCaptureStability();
+    
+    let url;
     try {
-      const img = document.getElementById('camera-img');
-      const url = `${this.apiUrl}/api/capture?t=${Date.now()}`;
-      
+      url = await this.fetchCapture();
+    } catch (error) {
+      this.showMessage(this.describeError(error, '촬영 실패'), 'error');
+      return false;
+    }
+    return this.showCapture(url);
+  }
+
+  /**
+   * 촬영 이미지 받기 (ApiClient 시간 초과 / 재시도 적용)
+   * @returns {Promise<string>} blob: URL (사용 후 revokeObjectURL)
+   */
+  async fetchCapture() {
+    const blob = await this.api(`/capture?t=${Date.now()}`, 'GET', null, {
+      responseType: 'blob',
+      timeout: API_DEFAULTS.captureTimeout,
+      retries: 1
+    });
+    return URL.createObjectURL(blob);
+  }
+
+  /**
+   * 촬영 이미지 표시 (blob: URL 또는 합성 이미지 data URL)
+   */
+  showCapture(url) {
+    const img = document.getElementById('camera-img');
+    
+    // 이전 촬영 이미지 해제
+    if (this.captureObjectUrl) URL.revokeObjectURL(this.captureObjectUrl);
+    this.captureObjectUrl = url.startsWith('blob:') ? url : null;
+
+    return new Promise(resolve => {
       img.onload = () => {
         this.showMessage('촬영 완료');
+        this.detectedRoi = null;
+        this.drawRoiOverlay();
         // 분석 버튼 활성화
         const analyzeBtn = document.getElementById('btn-analyze');
         if (analyzeBtn) analyzeBtn.disabled = false;
+        resolve(true);
       };
-      
+
+      img.onerror = () => {
+        this.showMessage('촬영 실패', 'error');
+        resolve(false);
+      };
+
       img.src = url;
+    });
+  }
+
+  /**
+   * 연속 촬영: N장 촬영 → 이상 프레임 제외 → 픽셀별 합성
+   */
+  async captureBurst() {
+    const { frames: count, interval, method } = this.burst;
+    const frames = [];
+    
+    try {
+      for (let i = 0; i < count; i++) {
+        if (i > 0) await this.delay(interval);
+        this.showMessage(`연속 촬영 ${i + 1}/${count}`);
+        const url = await this.fetchCapture();
+        try {
+          frames.push(await this.colorAnalyzer.grabFrame(url));
+        } finally {
+          URL.revokeObjectURL(url);
+        }
+      }
+      
+      const combined = this.colorAnalyzer.combineFrames(frames, this.getRois().sample, method);
+      this.lastBurst = { used: combined.used, rejected: combined.rejected, spread: combined.spread };
+      
+      // 합성 결과는 무손실 PNG로 표시 (이후 분석은 표시 이미지 기준)
+      const canvas = document.createElement('canvas');
+      canvas.width = combined.imageData.width;
+      canvas.height = combined.imageData.height;
+      canvas.getContext('2d').putImageData(combined.imageData, 0, 0);
+      
+      this.renderCaptureStability();
+      if (combined.spread > BURST.unstableDeltaE) {
+        this.showMessage(`프레임 간 색 변화 큼 (ΔE ${combined.spread}) - 교반 / 조명 안정 후 재촬영 권장`, 'warning');
+      }
+      return await this.showCapture(canvas.toDataURL('image/png'));
     } catch (error) {
-      this.showMessage('촬영 실패', 'error');
+      this.lastBurst = null;
+      this.renderCaptureStability();
+      this.showMessage('연속 촬영 실패', 'error');
+      return false;
     }
   }
+
+  /**
+   * 연속 촬영 안정도 표시
+   */
+  renderCaptureStability() {
+    const el = document.getElementById('capture-stability');
+    const burst = this.lastBurst;
+    
+    el.hidden = !burst;
+    if (!burst) return;
+    
+    el.className = 'capture-stability ' + (burst.spread > BURST.unstableDeltaE ? 'unstable' : 'stable');
+    el.textContent = `연속 ${burst.used + burst.rejected}장 합성 (제외 ${burst.rejected}) · 프레임 간 ΔE ${burst.spread.toFixed(1)}`;
+  }
+
+  /**
+   * 🎨 교반 완료 채널 자동 촬영 + 분석
+   * 앞선 채널 분석이 진행 중이면 끝난 뒤 이어서 실행 (연계 채널 / 빠른 연속 READY)
+   */
+  autoAnalyzeChannel(channel) {
+    const testType = CHANNEL_TEST_TYPES[channel];
+    if (!testType) return;
+
+    const previous = this.autoAnalysisTask || Promise.resolve();
+    const task = previous
+      .then(() => this.runAutoAnalysis(channel, testType))
+      .catch(error => console.error('[AutoAnalysis] Failed:', error))
+      .finally(() => {
+        if (this.autoAnalysisTask === task) this.autoAnalysisTask = null;
+      });
+    this.autoAnalysisTask = task;
+  }
+
+  async runAutoAnalysis(channel, testType) {
+    this.showMessage(`채널 ${channel} 교반 완료 - 자동 분석`);
+    if (!await this.capture()) return;
+
+    // 수동 제어 탭의 테스트 선택도 맞춰 둠
+    const testSelect = document.getElementById('analyze-test-type');
+    if (testSelect) testSelect.value = testType;
+
+    await this.analyzeColor(testType);
+  }
   
   /**
    * 🎨 촬영 이미지 색상 분석
@@ -749,8 +5038,10 @@ class AutoFreshCheck {
       }
       
       // 색상 분석 실행
-      const result = await this.colorAnalyzer.analyze(img, testType);
-      this.lastAnalysis = result;
+      const result = await this.colorAnalyzer.analyze(img, testType, this.getRois());
+      this.lastAnalysis = { ...result, testType, analyzedAt: Date.now() };
+      this.detectedRoi = result.roiSource === 'manual' ? null : result.roi;
+      this.drawRoiOverlay();
       
       // 결과 해석
       const interpretation = this.colorAnalyzer.interpret(testType, result.value);
@@ -763,6 +5054,14 @@ class AutoFreshCheck {
         result.warnings.forEach(w => this.showMessage(w, 'warning'));
       }
       
+      // 로컬 기록 저장
+      this.saveAnalysis(this.lastAnalysis);
+      
+      // 일반 pH 포화 → 고범위 pH (로딩 표시가 끝난 뒤 실행)
+      if (testType === 'ph' && this.isPhSaturated(result)) {
+        setTimeout(() => this.offerHighRangePh(), 0);
+      }
+      
       return result;
     } catch (error) {
       console.error('Color analysis error:', error);
@@ -773,111 +5072,654 @@ class AutoFreshCheck {
     }
   }
   
+  /**
+   * 일반 pH 테스트 포화 여부 (테이블 상단 + 낮은 신뢰도)
+   */
+  isPhSaturated(result) {
+    return result.atLimit === 'high' || (result.value >= 7.6 && result.confidence < 60);
+  }
+
+  /**
+   * 고범위 pH 테스트 제안 / 자동 실행
+   */
+  offerHighRangePh() {
+    if (this.highRangePhMode === 'off') return;
+    
+    if (!this.hasFeature('phhr')) {
+      this.showMessage('pH 측정 범위 초과 - 고범위 pH 테스트 권장', 'warning');
+      return;
+    }
+    
+    // 확인 모드: 진행 중인 전체 측정을 막지 않도록 측정 탭 안내로 묻기
+    if (this.highRangePhMode !== 'auto') {
+      document.getElementById('high-range-offer').hidden = false;
+      return;
+    }
+    
+    this.startHighRangePh(true);
+  }
+
+  /**
+   * 고범위 pH 실행 (전체 측정 중이면 마지막 단계로 추가)
+   */
+  startHighRangePh(auto = false) {
+    document.getElementById('high-range-offer').hidden = true;
+    
+    // 전체 측정 중이면 마지막 단계로 추가
+    if (this.sequence && this.sequence.running) {
+      if (!this.sequence.steps.some(step => step.key === HIGH_RANGE_PH_STEP.key)) {
+        this.sequence.steps.push({
+          ...HIGH_RANGE_PH_STEP,
+          status: 'pending',
+          startedAt: null,
+          endedAt: null,
+          value: null,
+          error: null
+        });
+        this.renderMeasureAll();
+      }
+      this.showMessage('고범위 pH 테스트를 전체 측정 마지막에 추가');
+      return;
+    }
+    
+    this.showMessage(auto ? '고범위 pH 테스트 자동 시작' : '고범위 pH 테스트 시작');
+    this.measure(HIGH_RANGE_PH_STEP.channels[0]);
+  }
+
   /**
    * 분석 결과 UI 표시
    */
   displayAnalysisResult(testType, result, interpretation) {
+    const info = TEST_INFO[testType];
+    
     // 측정값 업데이트
-    const valueMap = {
-      'ph': 'val-ph',
-      'nh3': 'val-nh3',
-      'no2': 'val-no2'
+    const el = document.getElementById(`val-${info.card || info.param}`);
+    if (el) {
+      el.textContent = result.value.toFixed(info.digits);
+        
+      // 상태에 따른 색상
+      el.className = 'measurement-value ' + interpretation.status;
+    }
+    
+    // 분석 패널 업데이트
+    const analysisPanel = document.getElementById('analysis-result');
+    if (analysisPanel) {
+      analysisPanel.innerHTML = `
+        <div class="analysis-header">
+          <h4>${info.name} 분석 결과</h4>
+          <span class="analysis-confidence">신뢰도 ${result.confidence}%</span>
+        </div>
+        <div class="analysis-value ${interpretation.status}">
+          <span class="value">${result.value.toFixed(info.digits)}</span>
+          <span class="uncertainty">± ${this.formatUncertainty(result.uncertainty.value, info.digits)} (추정)</span>
+          <span class="unit">${info.unit}</span>
+        </div>
+        <div class="analysis-range">
+          추정 범위 ${result.uncertainty.low.toFixed(info.digits)} – ${result.uncertainty.high.toFixed(info.digits)} ${info.unit}
+          (ROI 평균 표준오차 ${this.formatUncertainty(result.uncertainty.roiSe, info.digits)}${result.uncertainty.calibrationRms !== null
+            ? `, 보정 잔차 ${this.formatUncertainty(result.uncertainty.calibrationRms, info.digits)}`
+            : ''}, k=${result.uncertainty.coverage})
+        </div>
+        <div class="analysis-status ${interpretation.status}">
+          ${interpretation.text}
+        </div>
+        <div class="analysis-color">
+          <span class="color-swatch" style="background: ${this.colorAnalyzer.rgbToString(result.rgb)}"></span>
+          <span class="color-info">RGB(${result.rgb.r}, ${result.rgb.g}, ${result.rgb.b})</span>
+          <span class="color-info">HSV(${result.hsv.h}°, ${result.hsv.s}%, ${result.hsv.v}%)</span>
+          <span class="color-info">곡선 이탈 ΔE ${result.offCurve.toFixed(1)}</span>
+          ${result.correction.mode === 'card'
+            ? `<span class="color-info">카드 보정 잔차 ΔE ${result.correction.residual.toFixed(1)}</span>`
+            : ''}
+        </div>
+      `;
+      analysisPanel.style.display = 'block';
+    }
+    
+    this.showMessage(`${testType.toUpperCase()}: ${result.value} ± ${this.formatUncertainty(result.uncertainty.value, info.digits)} (추정) - ${interpretation.text}`);
+  }
+  
+  /**
+   * 불확도 표시 (표시 자릿수에서 0이 되면 한 자리 더)
+   */
+  formatUncertainty(value, digits) {
+    return value > 0 && value < 0.5 * 10 ** -digits ? value.toFixed(digits + 1) : value.toFixed(digits);
+  }
+  
+  /**
+   * 기준점(색종이) 캘리브레이션
+   */
+  async calibrateReference() {
+    try {
+      const img = document.getElementById('camera-img');
+      if (!img.src || img.src === '') {
+        this.showMessage('먼저 이미지를 촬영하세요', 'warning');
+        return;
+      }
+      
+      const roi = this.getRois().reference;
+      
+      if (this.referenceMode === 'card') {
+        const { residual } = await this.colorAnalyzer.calibrateColorChecker(img, roi);
+        const type = residual.rms > COLOR_CHECKER_RESIDUAL_WARN ? 'warning' : undefined;
+        this.showMessage(`색상 카드 보정 완료 - 잔차 ΔE ${residual.rms.toFixed(1)} (최대 ${residual.max.toFixed(1)})`, type);
+        return;
+      }
+      
+      this.colorAnalyzer.clearColorMatrix();
+      await this.colorAnalyzer.calibrateReference(img, roi);
+      this.showMessage('기준점 보정 완료');
+    } catch (error) {
+      this.showMessage('기준점 보정 실패', 'error');
+    }
+  }
+
+  /**
+   * 저장된 촬영 품질 한계 (없거나 잘못된 항목은 기본값)
+   */
+  loadQualityLimits() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem('qualityLimits')) || {};
+    } catch (e) {
+      saved = {};
+    }
+    
+    const limits = { ...DEFAULT_QUALITY_LIMITS };
+    Object.keys(limits).forEach(key => {
+      if (Number.isFinite(saved[key]) && saved[key] > 0) limits[key] = saved[key];
+    });
+    return limits;
+  }
+
+  // ========== 🎯 ROI ==========
+
+  /**
+   * 분석에 사용할 ROI (자동 감지 모드면 detect 포함)
+   */
+  getRois() {
+    return { ...this.roiStore.get(this.getDeviceId()), detect: this.roiMode === 'auto' };
+  }
+
+  /**
+   * 화면에 표시된 이미지 영역 (object-fit: contain 여백 제외)
+   */
+  getImageDisplayRect(img) {
+    const scale = Math.min(img.clientWidth / img.naturalWidth, img.clientHeight / img.naturalHeight);
+    const w = img.naturalWidth * scale;
+    const h = img.naturalHeight * scale;
+    
+    return { x: (img.clientWidth - w) / 2, y: (img.clientHeight - h) / 2, w, h };
+  }
+
+  /**
+   * 촬영 이미지 위에 샘플 / 기준 ROI 표시
+   */
+  drawRoiOverlay() {
+    const img = document.getElementById('camera-img');
+    const canvas = document.getElementById('roi-overlay');
+    if (!canvas) return;
+    
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = img.clientWidth * dpr;
+    canvas.height = img.clientHeight * dpr;
+    
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, img.clientWidth, img.clientHeight);
+    if (!img.naturalWidth) return;
+    
+    const area = this.getImageDisplayRect(img);
+    const rois = this.getRois();
+    const deviceId = this.getDeviceId();
+    
+    Object.entries(ROI_STYLES).forEach(([kind, style]) => {
+      const editing = this.roiEdit && this.roiEdit.kind === kind;
+      const roi = editing && this.roiEdit.rect ? this.roiEdit.rect : rois[kind];
+      const x = area.x + roi.x * area.w;
+      const y = area.y + roi.y * area.h;
+      
+      ctx.strokeStyle = style.color;
+      ctx.lineWidth = editing ? 2 : 1.5;
+      // 기본값(미지정) 영역은 점선
+      ctx.setLineDash(this.roiStore.isCustom(deviceId, kind) || editing ? [] : [4, 3]);
+      ctx.strokeRect(x, y, roi.w * area.w, roi.h * area.h);
+      
+      // 색상 카드 모드: 패치 격자 표시 (카드 정렬용)
+      if (kind === 'reference' && this.referenceMode === 'card') {
+        ctx.beginPath();
+        for (let c = 1; c < COLOR_CHECKER.cols; c++) {
+          const gx = x + (roi.w * area.w * c) / COLOR_CHECKER.cols;
+          ctx.moveTo(gx, y);
+          ctx.lineTo(gx, y + roi.h * area.h);
+        }
+        for (let r = 1; r < COLOR_CHECKER.rows; r++) {
+          const gy = y + (roi.h * area.h * r) / COLOR_CHECKER.rows;
+          ctx.moveTo(x, gy);
+          ctx.lineTo(x + roi.w * area.w, gy);
+        }
+        ctx.stroke();
+      }
+      
+      ctx.setLineDash([]);
+      ctx.fillStyle = style.color;
+      ctx.font = '11px sans-serif';
+      ctx.fillText(style.label, x + 2, Math.max(11, y - 3));
+    });
+    
+    // 최근 분석에서 자동 감지된 액체 영역
+    if (this.detectedRoi) {
+      const roi = this.detectedRoi;
+      const x = area.x + roi.x * area.w;
+      const y = area.y + roi.y * area.h;
+      
+      ctx.strokeStyle = DETECTED_ROI_STYLE.color;
+      ctx.lineWidth = 2;
+      ctx.strokeRect(x, y, roi.w * area.w, roi.h * area.h);
+      ctx.fillStyle = DETECTED_ROI_STYLE.color;
+      ctx.fillText(DETECTED_ROI_STYLE.label, x + 2, Math.min(area.y + area.h - 3, y + roi.h * area.h + 12));
+    }
+  }
+
+  /**
+   * ROI 지정 모드 시작 / 취소 (같은 버튼 재클릭)
+   * @param {string} kind - 'sample' | 'reference'
+   */
+  startRoiSelection(kind) {
+    const img = document.getElementById('camera-img');
+    const canvas = document.getElementById('roi-overlay');
+    
+    if (this.roiEdit && this.roiEdit.kind === kind) {
+      this.finishRoiSelection();
+      return;
+    }
+    if (!img.naturalWidth) {
+      this.showMessage('먼저 이미지를 촬영하세요', 'warning');
+      return;
+    }
+    
+    this.roiEdit = { kind, origin: null, rect: null };
+    canvas.classList.add('editing');
+    document.querySelectorAll('.roi-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.roi === kind);
+    });
+    
+    const hint = document.getElementById('roi-hint');
+    hint.textContent = `이미지 위에서 ${ROI_STYLES[kind].label} 영역을 드래그하세요`;
+    hint.hidden = false;
+    this.drawRoiOverlay();
+  }
+
+  finishRoiSelection() {
+    this.roiEdit = null;
+    document.getElementById('roi-overlay').classList.remove('editing');
+    document.querySelectorAll('.roi-btn').forEach(btn => btn.classList.remove('active'));
+    document.getElementById('roi-hint').hidden = true;
+    this.drawRoiOverlay();
+  }
+
+  /**
+   * 포인터 위치 → 정규화 이미지 좌표
+   */
+  pointerToRoi(e) {
+    const img = document.getElementById('camera-img');
+    const area = this.getImageDisplayRect(img);
+    
+    return {
+      x: Math.max(0, Math.min(1, (e.offsetX - area.x) / area.w)),
+      y: Math.max(0, Math.min(1, (e.offsetY - area.y) / area.h))
     };
+  }
+
+  handleRoiPointer(e) {
+    if (!this.roiEdit) return;
+    const point = this.pointerToRoi(e);
     
-    const elId = valueMap[testType];
-    if (elId) {
-      const el = document.getElementById(elId);
-      if (el) {
-        el.textContent = result.value.toFixed(testType === 'ph' ? 1 : 2);
-        
-        // 상태에 따른 색상
-        el.className = 'measurement-value ' + interpretation.status;
+    if (e.type === 'pointerdown') {
+      e.target.setPointerCapture(e.pointerId);
+      this.roiEdit.origin = point;
+      this.roiEdit.rect = { ...point, w: 0, h: 0 };
+      return;
+    }
+    
+    const origin = this.roiEdit.origin;
+    if (!origin) return;
+    
+    this.roiEdit.rect = {
+      x: Math.min(origin.x, point.x),
+      y: Math.min(origin.y, point.y),
+      w: Math.abs(point.x - origin.x),
+      h: Math.abs(point.y - origin.y)
+    };
+    
+    if (e.type === 'pointermove') {
+      this.drawRoiOverlay();
+      return;
+    }
+    
+    // pointerup: 저장
+    const { kind, rect } = this.roiEdit;
+    try {
+      this.roiStore.set(this.getDeviceId(), kind, rect);
+      this.showMessage(`${ROI_STYLES[kind].label} 영역 저장`);
+      this.finishRoiSelection();
+    } catch (error) {
+      this.roiEdit.origin = null;
+      this.roiEdit.rect = null;
+      this.drawRoiOverlay();
+      this.showMessage(error.message, 'warning');
+    }
+  }
+
+  resetRois() {
+    if (!confirm('이 장치의 샘플 / 기준 영역을 기본값으로 되돌릴까요?')) return;
+    
+    this.roiStore.reset(this.getDeviceId());
+    if (this.roiEdit) this.finishRoiSelection();
+    this.drawRoiOverlay();
+    this.showMessage('ROI 기본값 복원');
+  }
+
+  async updateStats() {
+    try {
+      const stats = await this.api('/stats');
+      document.getElementById('stat-dispenses').textContent = stats.totalDispenses || 0;
+      document.getElementById('stat-success').textContent = stats.successfulMeasures || 0;
+    } catch (error) {
+      console.error('Stats update failed:', error);
+    }
+  }
+
+  getDeviceId() {
+    if (this.deviceId) return this.deviceId;
+    try {
+      return new URL(this.apiUrl).host;
+    } catch (e) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * 웹 분석 결과를 로컬 기록에 저장
+   */
+  async saveAnalysis(analysis) {
+    try {
+      await this.historyStore.add({
+        deviceId: this.getDeviceId(),
+        timestamp: analysis.analyzedAt,
+        source: 'web',
+        testType: analysis.testType,
+        values: { [TEST_INFO[analysis.testType].param]: analysis.value },
+        uncertainty: analysis.uncertainty.value,
+        confidence: analysis.confidence,
+        valid: analysis.quality.valid,
+        quality: {
+          sharpness: analysis.quality.sharpness,
+          glare: analysis.quality.glare,
+          spread: analysis.quality.spread
+        },
+        rgb: analysis.rgb,
+        rawRgb: analysis.rawRgb,
+        hsv: analysis.hsv,
+        warnings: analysis.warnings
+      });
+      this.renderHistory();
+    } catch (error) {
+      console.error('History save failed:', error);
+    }
+  }
+
+  /**
+   * 장치 기록을 로컬 저장소에 병합 후 표시
+   * 장치 연결이 없으면 로컬 기록만 표시
+   */
+  async loadHistory() {
+    await this.syncDeviceHistory();
+    await this.renderHistory();
+  }
+
+  async syncDeviceHistory() {
+    try {
+      const history = await this.api('/history');
+      if (Array.isArray(history)) {
+        await this.historyStore.mergeDeviceHistory(this.getDeviceId(), history);
       }
+    } catch (error) {
+      console.warn('Device history unavailable:', error);
     }
-    
-    // 분석 패널 업데이트
-    const analysisPanel = document.getElementById('analysis-result');
-    if (analysisPanel) {
-      const testNames = { ph: 'pH', nh3: '암모니아', no2: '아질산' };
-      
-      analysisPanel.innerHTML = `
-        <div class="analysis-header">
-          <h4>${testNames[testType]} 분석 결과</h4>
-          <span class="analysis-confidence">신뢰도 ${result.confidence}%</span>
-        </div>
-        <div class="analysis-value ${interpretation.status}">
-          <span class="value">${result.value.toFixed(testType === 'ph' ? 1 : 2)}</span>
-          <span class="unit">${testType === 'ph' ? '' : 'ppm'}</span>
-        </div>
-        <div class="analysis-status ${interpretation.status}">
-          ${interpretation.text}
-        </div>
-        <div class="analysis-color">
-          <span class="color-swatch" style="background: ${this.colorAnalyzer.rgbToString(result.rgb)}"></span>
-          <span class="color-info">RGB(${result.rgb.r}, ${result.rgb.g}, ${result.rgb.b})</span>
-          <span class="color-info">HSV(${result.hsv.h}°, ${result.hsv.s}%, ${result.hsv.v}%)</span>
-        </div>
-      `;
-      analysisPanel.style.display = 'block';
-    }
-    
-    this.showMessage(`${testType.toUpperCase()}: ${result.value} - ${interpretation.text}`);
   }
-  
+
+  // ========== 📤 Export / Import ==========
+
   /**
-   * 기준점(색종이) 캘리브레이션
+   * 전체 기록 내보내기 (장치 기록 병합 후)
+   * @param {string} format - 'csv' | 'json'
    */
-  async calibrateReference() {
+  async exportHistory(format) {
     try {
-      const img = document.getElementById('camera-img');
-      if (!img.src || img.src === '') {
-        this.showMessage('먼저 이미지를 촬영하세요', 'warning');
+      await this.syncDeviceHistory();
+      const records = await this.historyStore.getRange();
+      
+      if (records.length === 0) {
+        this.showMessage('내보낼 기록이 없습니다', 'warning');
         return;
       }
       
-      await this.colorAnalyzer.calibrateReference(img);
-      this.showMessage('기준점 보정 완료');
+      const content = format === 'csv'
+        ? '\uFEFF' + this.historyExchange.toCSV(records)  // 엑셀 한글 인식용 BOM
+        : this.historyExchange.toJSON(records);
+      const type = format === 'csv' ? 'text/csv' : 'application/json';
+      
+      const d = new Date();
+      const stamp = `${d.getFullYear()}${String(d.getMonth() + 1).padStart(2, '0')}${String(d.getDate()).padStart(2, '0')}`;
+      this.downloadFile(`freshcheck-history-${stamp}.${format}`, content, type);
+      this.showMessage(`${records.length}건 내보내기 완료`);
     } catch (error) {
-      this.showMessage('기준점 보정 실패', 'error');
+      console.error('History export failed:', error);
+      this.showMessage('기록 내보내기 실패', 'error');
     }
   }
 
-  async updateStats() {
+  async importHistory(file) {
     try {
-      const stats = await this.api('/stats');
-      document.getElementById('stat-dispenses').textContent = stats.totalDispenses || 0;
-      document.getElementById('stat-success').textContent = stats.successfulMeasures || 0;
+      const text = await file.text();
+      const { records, errors } = this.historyExchange.parse(text, file.name);
+      
+      if (errors.length > 0) {
+        console.warn('[Import] Invalid records:', errors);
+      }
+      if (records.length === 0) {
+        this.showMessage(errors[0] || '가져올 기록이 없습니다', 'error');
+        return;
+      }
+      
+      const { added, duplicates } = await this.historyStore.importRecords(records);
+      const skipped = errors.length > 0 ? `, 오류 ${errors.length}건 제외` : '';
+      this.showMessage(`${added}건 추가, 중복 ${duplicates}건${skipped}`, errors.length > 0 ? 'warning' : 'info');
+      this.renderHistory();
     } catch (error) {
-      console.error('Stats update failed:', error);
+      console.error('History import failed:', error);
+      this.showMessage(`기록 가져오기 실패: ${error.message}`, 'error');
     }
   }
 
-  async loadHistory() {
+  async renderHistory() {
+    if (this.historyView === 'chart') {
+      return this.renderTrends();
+    }
+    
+    const list = document.getElementById('history-list');
+    
     try {
-      const history = await this.api('/history');
-      const list = document.getElementById('history-list');
+      const { records, total } = await this.historyStore.query({
+        deviceId: this.getDeviceId(),
+        ...this.historyFilter,
+        offset: this.historyPage * this.historyPageSize,
+        limit: this.historyPageSize
+      });
+      
+      // 필터 변경 등으로 페이지가 범위를 벗어나면 마지막 페이지로
+      const pages = Math.max(1, Math.ceil(total / this.historyPageSize));
+      if (this.historyPage >= pages && total > 0) {
+        this.historyPage = pages - 1;
+        return this.renderHistory();
+      }
+      document.getElementById('history-page').textContent = `${this.historyPage + 1} / ${pages}`;
+      document.getElementById('history-prev').disabled = this.historyPage === 0;
+      document.getElementById('history-next').disabled = this.historyPage >= pages - 1;
       
-      if (history.length === 0) {
+      if (records.length === 0) {
         list.innerHTML = '<div class="history-empty">기록 없음</div>';
         return;
       }
       
-      list.innerHTML = history.map(item => `
-        <div class="history-item">
-          <span class="history-time">${this.formatTime(item.timestamp)}</span>
+      list.innerHTML = records.map(record => this.renderHistoryItem(record)).join('');
+    } catch (error) {
+      console.error('History load failed:', error);
+    }
+  }
+
+  renderHistoryItem(record) {
+    const v = record.values || {};
+    
+    if (record.source === 'web') {
+      const info = TEST_INFO[record.testType];
+      const value = v[info.param];
+      const invalid = record.valid === false;
+      const warn = record.warnings && record.warnings.length > 0
+        ? `<span class="history-warn" title="${record.warnings.join(', ')}">⚠ ${record.warnings.length}</span>`
+        : '';
+      
+      return `
+        <div class="history-item web${invalid ? ' invalid' : ''}">
+          <span class="history-time">${this.formatTime(record.timestamp)}</span>
           <div class="history-values">
-            <span>pH ${item.ph ? item.ph.toFixed(1) : '--'}</span>
-            <span>NH3 ${item.nh3 ? item.nh3.toFixed(2) : '--'}</span>
-            <span>NO2 ${item.no2 ? item.no2.toFixed(2) : '--'}</span>
-            <span class="phase2">NO3 ${item.no3 ? item.no3.toFixed(1) : '⏳'}</span>
+            <span class="history-source">웹</span>
+            <span>${info.label} ${value.toFixed(info.digits)}${Number.isFinite(record.uncertainty)
+              ? ` ± ${this.formatUncertainty(record.uncertainty, info.digits)} (추정)`
+              : ''}</span>
+            <span>${record.confidence}%</span>
+            ${invalid ? '<span class="history-invalid">무효</span>' : ''}
+            ${warn}
           </div>
         </div>
-      `).join('');
+      `;
+    }
+    
+    return `
+      <div class="history-item">
+        <span class="history-time">${this.formatTime(record.timestamp)}</span>
+        <div class="history-values">
+          <span>pH ${v.ph ? v.ph.toFixed(1) : '--'}</span>
+          <span>NH3 ${v.nh3 ? v.nh3.toFixed(2) : '--'}</span>
+          <span>NO2 ${v.no2 ? v.no2.toFixed(2) : '--'}</span>
+          ${this.hasFeature('no3')
+            ? `<span>NO3 ${v.no3 != null ? v.no3.toFixed(1) : '--'}</span>`
+            : `<span class="phase2">NO3 ${v.no3 ? v.no3.toFixed(1) : '⏳'}</span>`}
+        </div>
+      </div>
+    `;
+  }
+
+  setHistoryFilter(key, value) {
+    this.historyFilter[key] = value;
+    this.historyPage = 0;
+    this.renderHistory();
+  }
+
+  changeHistoryPage(delta) {
+    this.historyPage = Math.max(0, this.historyPage + delta);
+    this.renderHistory();
+  }
+
+  // ========== 📈 Trend Charts ==========
+
+  setHistoryView(view) {
+    this.historyView = view;
+    
+    document.querySelectorAll('.view-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.view === view);
+    });
+    document.getElementById('history-list-view').style.display = view === 'list' ? '' : 'none';
+    document.getElementById('trend-view').style.display = view === 'chart' ? '' : 'none';
+    
+    this.renderHistory();
+  }
+
+  setTrendRange(range) {
+    this.trendRange = range;
+    
+    document.querySelectorAll('.zoom-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.range === range);
+    });
+    
+    this.renderTrends();
+  }
+
+  async renderTrends() {
+    if (!this.trendCharts) {
+      this.trendCharts = TREND_PARAMS.map(param => {
+        const chart = new TrendChart(document.getElementById(`trend-${param.key}`), param, this.colorAnalyzer);
+        chart.canvas.addEventListener('click', (e) => this.inspectTrend(chart, e.offsetX));
+        return chart;
+      });
+    }
+    
+    try {
+      const to = Date.now();
+      const span = TREND_RANGES[this.trendRange];
+      // 1e12 미만은 장치 업타임 기준 시각이므로 시간축에서 제외
+      const records = (await this.historyStore.getRange({
+        deviceId: this.getDeviceId(),
+        from: span === Infinity ? 1e12 : to - span
+      })).filter(record => record.timestamp >= 1e12 && record.valid !== false);
+      
+      const from = span === Infinity
+        ? (records.length > 0 ? records[0].timestamp : to - TREND_RANGES['24h'])
+        : to - span;
+      
+      for (const chart of this.trendCharts) {
+        const key = chart.param.key;
+        const points = records
+          .filter(record => record.values && record.values[key] != null)
+          .map(record => ({
+            t: record.timestamp,
+            v: record.values[key],
+            source: record.source,
+            confidence: record.confidence
+          }));
+        chart.setData(points, from, to);
+      }
+      
+      document.getElementById('trend-inspect').textContent = '점을 눌러 상세 보기';
     } catch (error) {
-      console.error('History load failed:', error);
+      console.error('Trend render failed:', error);
     }
   }
 
+  inspectTrend(chart, offsetX) {
+    // 다른 차트의 선택 해제
+    this.trendCharts.forEach(other => {
+      if (other !== chart && other.selected) {
+        other.selected = null;
+        other.draw();
+      }
+    });
+    
+    const point = chart.pick(offsetX);
+    const el = document.getElementById('trend-inspect');
+    if (!point) {
+      el.textContent = '점을 눌러 상세 보기';
+      return;
+    }
+    
+    const d = new Date(point.t);
+    const time = `${d.getMonth() + 1}/${d.getDate()} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+    const { text } = this.colorAnalyzer.interpret(chart.param.key, point.v);
+    const source = point.source === 'web' ? `웹 분석 (신뢰도 ${point.confidence}%)` : '장치';
+    el.textContent = `${chart.param.label} ${point.v.toFixed(chart.param.digits)} · ${text} · ${time} · ${source}`;
+  }
+
   // ========== Settings ==========
   
   loadSettings() {
@@ -887,7 +5729,22 @@ class AutoFreshCheck {
       document.getElementById('set-api-url').value = apiUrl;
     }
     
-    this.loadServerConfig();
+    document.getElementById('set-auto-analyze').checked = this.autoAnalyze;
+    document.getElementById('set-color-metric').value = this.colorAnalyzer.distanceMetric;
+    document.getElementById('set-high-range-ph').value = this.highRangePhMode;
+    document.getElementById('set-roi-mode').value = this.roiMode;
+    document.getElementById('set-reference-mode').value = this.referenceMode;
+    document.getElementById('set-burst-frames').value = this.burst.frames;
+    document.getElementById('set-burst-interval').value = this.burst.interval;
+    document.getElementById('set-burst-method').value = this.burst.method;
+    
+    const limits = this.colorAnalyzer.qualityLimits;
+    document.getElementById('set-quality-sharpness').value = limits.minSharpness;
+    document.getElementById('set-quality-glare').value = limits.maxGlare * 100;
+    document.getElementById('set-quality-spread').value = limits.maxSpread;
+    
+    this.loadReagentDoses();
+    this.renderTubeSettings();
   }
 
   async loadServerConfig() {
@@ -898,11 +5755,17 @@ class AutoFreshCheck {
       document.getElementById('set-sample-time').value = config.samplePumpTime;
       document.getElementById('set-auto-prime').checked = config.autoPrimeOnStart;
       
+      this.setOpticalThresholds(config.opticalThresholds);
+      
       if (config.reagentSteps) {
+        this.reagentSteps = config.reagentSteps;
         config.reagentSteps.forEach((steps, i) => {
           const el = document.getElementById(`set-steps-${i + 1}`);
           if (el) el.value = steps;
         });
+        
+        // 스텝 수 표시는 steps/ml 기준
+        document.querySelectorAll('#tube-grid .tube-row[data-line]').forEach(row => this.updateTubeRow(row));
       }
     } catch (error) {
       console.error('Config load failed:', error);
@@ -910,21 +5773,83 @@ class AutoFreshCheck {
   }
 
   async saveSettings() {
+    // 튜브 치수는 먼저 전부 검사 (잘못된 행이 있으면 어떤 설정도 저장하지 않음)
+    let tubeRows;
+    try {
+      tubeRows = this.readTubeSettings();
+    } catch (error) {
+      this.showMessage(error.message, 'error');
+      return;
+    }
+    
     try {
       const apiUrl = document.getElementById('set-api-url').value;
+      const urlChanged = apiUrl !== this.apiUrl;
       localStorage.setItem('apiUrl', apiUrl);
       this.apiUrl = apiUrl;
+      this.statusTransport.setStream(this.getStatusStream());
+      if (urlChanged) {
+        // 다른 장치일 수 있음 → /api/system으로 다시 식별
+        this.deviceId = '';
+        localStorage.removeItem('deviceId');
+        this.loadSystemInfo();
+      }
+      
+      this.autoAnalyze = document.getElementById('set-auto-analyze').checked;
+      localStorage.setItem('autoAnalyze', this.autoAnalyze);
+      
+      this.colorAnalyzer.distanceMetric = document.getElementById('set-color-metric').value;
+      localStorage.setItem('colorMetric', this.colorAnalyzer.distanceMetric);
+      
+      this.highRangePhMode = document.getElementById('set-high-range-ph').value;
+      localStorage.setItem('highRangePhMode', this.highRangePhMode);
+      
+      this.roiMode = document.getElementById('set-roi-mode').value;
+      localStorage.setItem('roiMode', this.roiMode);
+      
+      this.referenceMode = document.getElementById('set-reference-mode').value;
+      localStorage.setItem('referenceMode', this.referenceMode);
+      // 색상 카드 방식을 벗어나면 카드 행렬이 분석에 남지 않도록 해제
+      if (this.referenceMode !== 'card') this.colorAnalyzer.clearColorMatrix();
+      
+      const frames = parseInt(document.getElementById('set-burst-frames').value);
+      const interval = parseInt(document.getElementById('set-burst-interval').value);
+      this.burst = {
+        frames: Math.min(BURST.maxFrames, Math.max(1, frames || 1)),
+        interval: Math.max(0, interval || 0),
+        method: document.getElementById('set-burst-method').value
+      };
+      localStorage.setItem('burstFrames', this.burst.frames);
+      localStorage.setItem('burstInterval', this.burst.interval);
+      localStorage.setItem('burstMethod', this.burst.method);
+      
+      localStorage.setItem('qualityLimits', JSON.stringify({
+        minSharpness: parseFloat(document.getElementById('set-quality-sharpness').value),
+        maxGlare: parseFloat(document.getElementById('set-quality-glare').value) / 100,
+        maxSpread: parseFloat(document.getElementById('set-quality-spread').value)
+      }));
+      this.colorAnalyzer.qualityLimits = this.loadQualityLimits();
+      
+      const deviceId = this.getDeviceId();
+      REAGENT_PUMPS.forEach(pump => {
+        const dose = parseFloat(document.getElementById(`set-dose-${pump}`).value);
+        this.reagentInventory.setDose(deviceId, pump, dose);
+      });
+      this.renderReagents();
+      
+      const tubes = this.saveTubeSettings(tubeRows);
       
       const config = {
         mixingTime: parseInt(document.getElementById('set-mix-time').value) * 1000,
         sampleTime: parseInt(document.getElementById('set-sample-time').value),
-        autoPrime: document.getElementById('set-auto-prime').checked
+        autoPrime: document.getElementById('set-auto-prime').checked,
+        ...tubes
       };
       
       await this.api('/calibration', 'POST', config);
       this.showMessage('설정 저장 완료');
     } catch (error) {
-      this.showMessage('설정 저장 실패', 'error');
+      this.showMessage(this.describeError(error, '설정 저장 실패'), 'error');
     }
   }
 
@@ -932,6 +5857,298 @@ class AutoFreshCheck {
     document.getElementById('set-api-url').value = this.apiUrl;
   }
 
+  // ========== 🎨 Color Table Profiles ==========
+
+  /**
+   * 저장된 활성 프로필을 분석기에 적용
+   */
+  applyColorProfiles() {
+    TABLE_TEST_TYPES.forEach(({ key }) => {
+      const active = this.colorProfiles.getActiveName(key);
+      this.colorAnalyzer.setTable(key, this.colorProfiles.getActiveTable(key));
+      // 보정 잔차는 해당 보정 프로필이 활성일 때만 불확도에 반영
+      this.colorAnalyzer.setCalibrationResidual(key, active ? this.calibration.getResidualRms(key, active) : null);
+    });
+  }
+
+  /**
+   * 테이블 편집기 열기 (테스트/프로필 선택)
+   * @param {string} profile - '' 이면 내장 테이블
+   */
+  loadTableEditor(testType, profile = null) {
+    if (profile === null) profile = this.colorProfiles.getActiveName(testType) || '';
+    const table = profile
+      ? this.colorProfiles.get(testType, profile)
+      : this.colorAnalyzer.getDefaultTable(testType);
+    
+    this.tableEditor = {
+      testType,
+      profile,
+      rows: table.map(row => ({ ...row }))
+    };
+    
+    // 프로필 이름은 가져온 파일에서 올 수 있으므로 마크업으로 넣지 않음
+    const select = document.getElementById('table-profile');
+    select.replaceChildren(
+      new Option('기본 (내장)', ''),
+      ...this.colorProfiles.list(testType).map(name => new Option(name, name))
+    );
+    select.value = profile;
+    document.getElementById('table-profile-name').value = profile;
+    
+    const active = this.colorProfiles.getActiveName(testType);
+    document.getElementById('table-active-info').textContent = `사용 중: ${active || '기본 (내장)'}`;
+    
+    this.renderTableRows();
+  }
+
+  renderTableRows() {
+    const tbody = document.getElementById('color-table-rows');
+    tbody.innerHTML = this.tableEditor.rows.map((row, i) => `
+      <tr data-index="${i}">
+        <td><span class="color-swatch" style="background: ${this.colorAnalyzer.rgbToString(this.colorAnalyzer.hsvToRgb(row.h, row.s, row.v))}"></span></td>
+        <td><input type="number" data-field="value" value="${row.value}" step="0.05"></td>
+        <td><input type="number" data-field="h" value="${row.h}" min="0" max="360"></td>
+        <td><input type="number" data-field="s" value="${row.s}" min="0" max="100"></td>
+        <td><input type="number" data-field="v" value="${row.v}" min="0" max="100"></td>
+        <td><button class="row-remove-btn" data-action="remove">✕</button></td>
+      </tr>
+    `).join('');
+  }
+
+  /**
+   * 행 입력 변경 → 미리보기 색상 갱신
+   */
+  updateTableRow(input) {
+    const tr = input.closest('tr');
+    const row = this.tableEditor.rows[parseInt(tr.dataset.index)];
+    row[input.dataset.field] = parseFloat(input.value);
+    
+    if (['h', 's', 'v'].every(k => Number.isFinite(row[k]))) {
+      const rgb = this.colorAnalyzer.hsvToRgb(row.h % 360, row.s, row.v);
+      tr.querySelector('.color-swatch').style.background = this.colorAnalyzer.rgbToString(rgb);
+    }
+  }
+
+  addTableRow() {
+    const rows = this.tableEditor.rows;
+    const last = rows[rows.length - 1] || { value: 0, h: 0, s: 50, v: 80 };
+    rows.push({ ...last, value: last.value + 1 });
+    this.renderTableRows();
+  }
+
+  removeTableRow(index) {
+    this.tableEditor.rows.splice(index, 1);
+    this.renderTableRows();
+  }
+
+  saveTableProfile() {
+    const { testType, rows } = this.tableEditor;
+    const name = document.getElementById('table-profile-name').value.trim();
+    
+    try {
+      this.colorProfiles.save(testType, name, rows);
+      // 사용 중인 프로필을 수정했으면 즉시 반영
+      if (this.colorProfiles.getActiveName(testType) === name) this.applyColorProfiles();
+      this.loadTableEditor(testType, name);
+      this.showMessage(`프로필 '${name}' 저장 완료`);
+    } catch (error) {
+      this.showMessage(error.message, 'error');
+    }
+  }
+
+  activateTableProfile() {
+    const { testType, profile } = this.tableEditor;
+    this.colorProfiles.setActive(testType, profile || null);
+    this.applyColorProfiles();
+    this.loadTableEditor(testType, profile);
+    this.showMessage(`${testType.toUpperCase()} 테이블: ${profile || '기본 (내장)'} 사용`);
+  }
+
+  deleteTableProfile() {
+    const { testType, profile } = this.tableEditor;
+    if (!profile) return;
+    if (!confirm(`프로필 '${profile}'을(를) 삭제할까요?`)) return;
+    
+    this.colorProfiles.remove(testType, profile);
+    this.applyColorProfiles();
+    this.loadTableEditor(testType, '');
+    this.showMessage('프로필 삭제됨');
+  }
+
+  exportTableProfile() {
+    const { testType, profile } = this.tableEditor;
+    if (!profile) {
+      this.showMessage('저장된 프로필을 선택하세요', 'warning');
+      return;
+    }
+    this.downloadFile(`color-table-${testType}-${profile}.json`,
+      this.colorProfiles.exportJSON(testType, profile), 'application/json');
+  }
+
+  async importTableProfile(file) {
+    try {
+      const { testType, name } = this.colorProfiles.importJSON(await file.text());
+      document.getElementById('table-test-type').value = testType;
+      this.loadTableEditor(testType, name);
+      this.showMessage(`프로필 '${name}' 가져오기 완료`);
+    } catch (error) {
+      this.showMessage(`프로필 가져오기 실패: ${error.message}`, 'error');
+    }
+  }
+
+  // ========== 🧪 Standard Solution Calibration ==========
+
+  /**
+   * 표준액 촬영 → 보정점 기록
+   */
+  async addCalibrationPoint() {
+    const testType = document.getElementById('calib-test-type').value;
+    const trueValue = parseFloat(document.getElementById('calib-true-value').value);
+    
+    if (!Number.isFinite(trueValue) || trueValue < 0) {
+      this.showMessage('표준액 농도를 입력하세요', 'warning');
+      return;
+    }
+    
+    try {
+      this.showLoading();
+      if (!await this.capture()) return;
+      
+      const img = document.getElementById('camera-img');
+      const result = await this.colorAnalyzer.analyze(img, testType, this.getRois());
+      if (!result.quality.valid) {
+        result.warnings.forEach(w => this.showMessage(w, 'warning'));
+        this.showMessage('촬영 품질 미달 - 보정점으로 사용하지 않음', 'error');
+        return;
+      }
+      
+      this.calibration.addPoint(testType, {
+        value: trueValue,
+        hsv: result.hsv,
+        rgb: result.rgb,
+        measured: result.value,
+        timestamp: Date.now()
+      });
+      this.pendingCalibration = null;
+      this.renderCalibration();
+      this.showMessage(`보정점 기록: ${trueValue} (측정 ${result.value})`);
+    } catch (error) {
+      console.error('Calibration capture failed:', error);
+      this.showMessage('보정점 기록 실패', 'error');
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  removeCalibrationPoint(index) {
+    const testType = document.getElementById('calib-test-type').value;
+    this.calibration.removePoint(testType, index);
+    this.pendingCalibration = null;
+    this.renderCalibration();
+  }
+
+  clearCalibrationPoints() {
+    const testType = document.getElementById('calib-test-type').value;
+    if (!confirm('기록된 보정점을 모두 삭제할까요?')) return;
+    
+    this.calibration.clear(testType);
+    this.pendingCalibration = null;
+    this.renderCalibration();
+  }
+
+  /**
+   * 보정 테이블 계산 (적용 전 잔차 확인)
+   */
+  fitCalibration() {
+    const testType = document.getElementById('calib-test-type').value;
+    const points = this.calibration.getPoints(testType);
+    
+    if (points.length < MIN_CALIBRATION_POINTS) {
+      this.showMessage(`보정점이 ${MIN_CALIBRATION_POINTS}개 이상 필요합니다`, 'warning');
+      return;
+    }
+    
+    const fit = this.colorAnalyzer.fitCalibratedTable(this.colorAnalyzer.getTable(testType), points);
+    this.pendingCalibration = { testType, ...fit };
+    this.renderCalibration();
+  }
+
+  acceptCalibration() {
+    const pending = this.pendingCalibration;
+    if (!pending) return;
+    
+    const d = new Date();
+    const name = `보정 ${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    const rms = Math.sqrt(pending.residuals.reduce((sum, r) => sum + r.after * r.after, 0) / pending.residuals.length);
+    
+    try {
+      this.colorProfiles.save(pending.testType, name, pending.table);
+      this.colorProfiles.setActive(pending.testType, name);
+      this.calibration.setResidualRms(pending.testType, rms, name);
+      this.applyColorProfiles();
+      if (this.tableEditor.testType === pending.testType) this.loadTableEditor(pending.testType);
+      
+      this.pendingCalibration = null;
+      this.renderCalibration();
+      this.showMessage(`보정 테이블 '${name}' 적용`);
+    } catch (error) {
+      this.showMessage(error.message, 'error');
+    }
+  }
+
+  rejectCalibration() {
+    this.pendingCalibration = null;
+    this.renderCalibration();
+    this.showMessage('보정 테이블 적용 취소', 'warning');
+  }
+
+  renderCalibration() {
+    const testType = document.getElementById('calib-test-type').value;
+    const points = this.calibration.getPoints(testType);
+    const digits = TEST_INFO[testType].digits;
+    
+    document.getElementById('calib-points').innerHTML = points.length === 0
+      ? '<li class="calib-empty">기록된 보정점 없음</li>'
+      : points.map((p, i) => `
+        <li class="calib-point">
+          <span class="color-swatch" style="background: ${this.colorAnalyzer.rgbToString(p.rgb)}"></span>
+          <span>표준 ${p.value}</span>
+          <span class="color-info">측정 ${p.measured.toFixed(digits)}</span>
+          <span class="color-info">HSV(${p.hsv.h}°, ${p.hsv.s}%, ${p.hsv.v}%)</span>
+          <button class="row-remove-btn" data-index="${i}">✕</button>
+        </li>
+      `).join('');
+    
+    document.getElementById('btn-calib-fit').disabled = points.length < MIN_CALIBRATION_POINTS;
+    
+    const resultEl = document.getElementById('calib-result');
+    const pending = this.pendingCalibration;
+    if (!pending || pending.testType !== testType) {
+      resultEl.style.display = 'none';
+      return;
+    }
+    
+    const fmt = (x) => `${x >= 0 ? '+' : ''}${x.toFixed(digits)}`;
+    resultEl.innerHTML = `
+      <table class="color-table">
+        <thead><tr><th>표준</th><th>보정 전 오차</th><th>보정 후 오차</th></tr></thead>
+        <tbody>
+          ${pending.residuals.map(r => `
+            <tr><td>${r.value}</td><td>${fmt(r.before)}</td><td>${fmt(r.after)}</td></tr>
+          `).join('')}
+        </tbody>
+      </table>
+      <div class="control-buttons">
+        <button class="ctrl-btn" id="btn-calib-accept">적용</button>
+        <button class="ctrl-btn" id="btn-calib-reject">취소</button>
+      </div>
+    `;
+    resultEl.style.display = 'block';
+    document.getElementById('btn-calib-accept').addEventListener('click', () => this.acceptCalibration());
+    document.getElementById('btn-calib-reject').addEventListener('click', () => this.rejectCalibration());
+  }
+
   // ========== Event Binding ==========
   
   bindEvents() {
@@ -945,12 +6162,25 @@ class AutoFreshCheck {
       btn.addEventListener('click', () => this.measure(parseInt(btn.dataset.channel)));
     });
     document.getElementById('btn-measure-all').addEventListener('click', () => this.measureAll());
+    document.getElementById('btn-measure-all-cancel').addEventListener('click', () => this.cancelMeasureAll());
+    document.getElementById('btn-nitrate-shaken').addEventListener('click', () => {
+      if (this.nitrateShakeResolve) this.nitrateShakeResolve(true);
+    });
+    document.getElementById('btn-nitrate-shake-cancel').addEventListener('click', () => {
+      if (this.nitrateShakeResolve) this.nitrateShakeResolve(false);
+    });
+    document.getElementById('btn-high-range-run').addEventListener('click', () => this.startHighRangePh());
+    document.getElementById('btn-high-range-dismiss').addEventListener('click', () => {
+      document.getElementById('high-range-offer').hidden = true;
+    });
     
     // 프라이밍 버튼
     document.querySelectorAll('.prime-btn').forEach(btn => {
       btn.addEventListener('click', () => this.prime(parseInt(btn.dataset.pump)));
     });
     document.getElementById('btn-prime-all').addEventListener('click', () => this.primeAll());
+    document.getElementById('btn-prime-all-skip').addEventListener('click', () => this.skipPrimeStep());
+    document.getElementById('btn-prime-all-cancel').addEventListener('click', () => this.cancelPrimeAll());
     
     // 🔬 프라이밍 모드 토글
     document.getElementById('mode-smart').addEventListener('click', () => this.setPrimeMode('smart'));
@@ -959,6 +6189,25 @@ class AutoFreshCheck {
     // 🔬 광센서 새로고침
     document.getElementById('btn-refresh-optical').addEventListener('click', () => this.fetchOpticalStatus());
     
+    // 🔬 광센서 보정 마법사
+    document.getElementById('btn-optical-calib').addEventListener('click', () => this.startOpticalCalibration());
+    document.getElementById('btn-optical-air').addEventListener('click', () => this.recordOpticalPhase('air'));
+    document.getElementById('btn-optical-liquid').addEventListener('click', () => this.recordOpticalPhase('liquid'));
+    document.getElementById('btn-optical-save').addEventListener('click', () => this.saveOpticalCalibration());
+    document.getElementById('btn-optical-cancel').addEventListener('click', () => this.cancelOpticalCalibration());
+    
+    // 🧵 튜브 치수 입력 시 프라이밍 부피 갱신
+    document.getElementById('tube-grid').addEventListener('input', (e) => {
+      const row = e.target.closest('.tube-row[data-line]');
+      if (row) this.updateTubeRow(row);
+    });
+    
+    // 🧴 시약 보충
+    document.getElementById('reagent-list').addEventListener('click', (e) => {
+      const btn = e.target.closest('.reagent-refill-btn');
+      if (btn) this.refillReagent(parseInt(btn.dataset.pump));
+    });
+    
     // 수동 제어
     document.getElementById('btn-sample').addEventListener('click', () => {
       this.pumpControl('sample');
@@ -1005,9 +6254,88 @@ class AutoFreshCheck {
       this.calibrateReference();
     });
     
+    // 🎯 ROI 지정
+    document.querySelectorAll('.roi-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.startRoiSelection(btn.dataset.roi));
+    });
+    document.getElementById('btn-roi-reset').addEventListener('click', () => this.resetRois());
+    const roiOverlay = document.getElementById('roi-overlay');
+    ['pointerdown', 'pointermove', 'pointerup'].forEach(type => {
+      roiOverlay.addEventListener(type, (e) => this.handleRoiPointer(e));
+    });
+    window.addEventListener('resize', () => this.drawRoiOverlay());
+    
+    // 🧪 표준액 보정
+    document.getElementById('calib-test-type').addEventListener('change', () => this.renderCalibration());
+    document.getElementById('btn-calib-add').addEventListener('click', () => this.addCalibrationPoint());
+    document.getElementById('btn-calib-fit').addEventListener('click', () => this.fitCalibration());
+    document.getElementById('btn-calib-clear').addEventListener('click', () => this.clearCalibrationPoints());
+    document.getElementById('calib-points').addEventListener('click', (e) => {
+      if (e.target.dataset.index !== undefined) this.removeCalibrationPoint(parseInt(e.target.dataset.index));
+    });
+    
     // 긴급 정지
     document.getElementById('btn-emergency').addEventListener('click', () => this.emergencyStop());
     
+    // 📚 측정 기록 필터 / 페이지
+    document.getElementById('history-filter-type').addEventListener('change', (e) => {
+      this.setHistoryFilter('testType', e.target.value);
+    });
+    document.getElementById('history-filter-source').addEventListener('change', (e) => {
+      this.setHistoryFilter('source', e.target.value);
+    });
+    document.getElementById('history-prev').addEventListener('click', () => this.changeHistoryPage(-1));
+    document.getElementById('history-next').addEventListener('click', () => this.changeHistoryPage(1));
+    
+    // 📈 목록 / 차트 전환, 확대 범위
+    document.querySelectorAll('.view-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setHistoryView(btn.dataset.view));
+    });
+    document.querySelectorAll('.zoom-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.setTrendRange(btn.dataset.range));
+    });
+    
+    // 📤 기록 내보내기 / 가져오기
+    document.getElementById('btn-export-csv').addEventListener('click', () => this.exportHistory('csv'));
+    document.getElementById('btn-export-json').addEventListener('click', () => this.exportHistory('json'));
+    document.getElementById('btn-import-history').addEventListener('click', () => {
+      document.getElementById('history-import-file').click();
+    });
+    document.getElementById('history-import-file').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.importHistory(file);
+      e.target.value = '';
+    });
+    
+    // 🎨 색상 테이블 편집기
+    document.getElementById('table-test-type').addEventListener('change', (e) => {
+      this.loadTableEditor(e.target.value);
+    });
+    document.getElementById('table-profile').addEventListener('change', (e) => {
+      this.loadTableEditor(this.tableEditor.testType, e.target.value);
+    });
+    document.getElementById('color-table-rows').addEventListener('input', (e) => {
+      if (e.target.dataset.field) this.updateTableRow(e.target);
+    });
+    document.getElementById('color-table-rows').addEventListener('click', (e) => {
+      if (e.target.dataset.action === 'remove') {
+        this.removeTableRow(parseInt(e.target.closest('tr').dataset.index));
+      }
+    });
+    document.getElementById('btn-table-add-row').addEventListener('click', () => this.addTableRow());
+    document.getElementById('btn-table-save').addEventListener('click', () => this.saveTableProfile());
+    document.getElementById('btn-table-activate').addEventListener('click', () => this.activateTableProfile());
+    document.getElementById('btn-table-delete').addEventListener('click', () => this.deleteTableProfile());
+    document.getElementById('btn-table-export').addEventListener('click', () => this.exportTableProfile());
+    document.getElementById('btn-table-import').addEventListener('click', () => {
+      document.getElementById('table-import-file').click();
+    });
+    document.getElementById('table-import-file').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) this.importTableProfile(file);
+      e.target.value = '';
+    });
+    
     // 설정 저장
     document.getElementById('btn-save-settings').addEventListener('click', () => this.saveSettings());
   }
@@ -1026,6 +6354,10 @@ class AutoFreshCheck {
     if (tabId === 'priming') {
       this.updateStats();
       this.fetchOpticalStatus();  // 🔬 광센서 상태 조회
+      this.renderOpticalHealth();
+      this.renderReagents();
+      this.renderPrimeLog();
+      this.renderPrimeTrace();  // 숨겨진 탭에서는 크기가 0이라 다시 그림
     }
   }
 
@@ -1078,6 +6410,24 @@ class AutoFreshCheck {
     }
   }
 
+  downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  formatDuration(ms) {
+    const total = Math.max(0, Math.round(ms / 1000));
+    const min = Math.floor(total / 60);
+    const sec = total % 60;
+    return min > 0 ? `${min}분 ${sec}초` : `${sec}초`;
+  }
+
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }